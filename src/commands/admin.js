@@ -0,0 +1,241 @@
+/**
+ * Command name: admin
+ * Description: Staff tools to manage a live server: kick, teleport, summon, rescue, broadcast and shutdown.
+ * Each sub command can be used as "admin <sub command>" or directly through its alias.
+ *
+ * Usage:
+ * "kick <player> [reason]": Disconnects a player.
+ * "goto <player|zone:room|zone>": Teleports yourself to a player, a room or the default room of a zone.
+ * "summon <player>": Teleports a player to your room.
+ * "rescue [player]": Sends yourself, or (staff only) another player, back to the start room.
+ * "broadcast <message>": Sends a message to every player.
+ * "shutdown [delay] [reason]": Warns players, saves everything and stops the server after delay seconds.
+ * "shutdown cancel": Cancels a scheduled shutdown.
+ *
+ * E.g:
+ * "kick bastion spamming" - Disconnects bastion with the reason "spamming".
+ * "goto 000:000" - Teleports you to room 000 in zone 000.
+ * "shutdown 300 Update" - Shuts the server down in 5 minutes.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to look up the default room of a zone.
+ * - `permissionManager`: Manager to check user capabilities.
+ * - `serverManager`: Manager to handle the server lifecycle.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+const SUB_COMMANDS = ["kick", "goto", "summon", "rescue", "broadcast", "shutdown"];
+
+module.exports = {
+    name: "admin",
+    description: "Staff tools to manage players and the server.",
+    help: "Use [c:kick <player> <reason>] to disconnect a player (the reason is optional), [c:goto <player>], [c:goto <zone>:<room>] or [c:goto <zone>] to teleport, [c:summon <player>] to bring a player to you, [c:rescue <player>] to send a player to the start room, [c:broadcast <message>] to message everyone and [c:shutdown <delay> <reason>] to shut down the server after delay seconds ([c:shutdown cancel] to cancel). Each can also be used as [c:admin <sub command>]. Anyone can use [c:rescue] to return to the start room.",
+    aliases: SUB_COMMANDS,
+    capability: {default: "admin", rescue: "general"},
+    allowMarkup: true,
+    execute(params) {
+        let command = params.command;
+        let user = params.user;
+        let userManager = params.userManager;
+        let roomManager = params.roomManager;
+        let zoneManager = params.zoneManager;
+        let permissionManager = params.permissionManager;
+        let serverManager = params.serverManager;
+        let data = params.data || "";
+        let {logInfo, logWarn, logError} = params.log;
+
+        const userName = (person) => person.morphedName || person.firstName + " " + person.lastName;
+
+        // Work out the sub command, either the alias used or the first word after "admin"
+        let subCommand = command;
+        if (command === "admin") {
+            [subCommand, data] = [_.first(data.split(" ")).toLowerCase(), data.split(" ").slice(1).join(" ")];
+        }
+        data = _.trim(data);
+
+        if (!SUB_COMMANDS.includes(subCommand)) {
+            userManager.send(user.id, `Usage: ${this.help}`);
+            return;
+        }
+
+        // Find exactly one online player by name, telling the user when that fails
+        const findPlayer = (name) => {
+            const found = userManager.findUsersByName(name);
+
+            if (found.length === 0) {
+                userManager.send(user.id, `No player named [p:${name}] is online.`);
+                return null;
+            } else if (found.length > 1) {
+                userManager.send(user.id, `Multiple players match [p:${name}]: ${found.map((person) => `[p:${userName(person)}]`).join(", ")}. Please be more specific.`);
+                return null;
+            }
+            return found[0];
+        };
+
+        // Move a player to a room, telling both rooms about it. Staff moves ignore locked rooms
+        const teleport = (person, zoneId, roomId, leaveMessage, arriveMessage) => {
+            const fromZoneId = person.zoneId;
+            const fromRoomId = person.roomId;
+
+            if (!userManager.moveUser(person.id, zoneId, roomId, true)) {
+                return false;
+            }
+
+            const leftBehind = userManager.getRoomUsers(fromZoneId, fromRoomId).filter((roomUser) => roomUser.id !== person.id);
+            userManager.send(leftBehind.map((roomUser) => roomUser.id), `[p:${userName(person)}] ${leaveMessage}`);
+
+            const newNeighbours = userManager.getRoomUsers(person.zoneId, person.roomId).filter((roomUser) => roomUser.id !== person.id);
+            userManager.send(newNeighbours.map((roomUser) => roomUser.id), `[p:${userName(person)}] ${arriveMessage}`);
+            return true;
+        };
+
+        switch (subCommand) {
+            case "kick": {
+                if (!data) {
+                    userManager.send(user.id, "Usage: [c:kick <player> <reason>]");
+                    return;
+                }
+
+                // Both "kick ann" and "kick ann smith spamming" work
+                const {user: target, rest: reason} = userManager.findUserByNamePrefix(data);
+
+                if (!target) {
+                    findPlayer(data.split(" ")[0]);
+                    return;
+                }
+
+                if (target.id === user.id) {
+                    userManager.send(user.id, "You can not kick yourself.");
+                    return;
+                }
+
+                userManager.send(target.id, `<red>You have been kicked from the server by [p:${userName(user)}].${reason ? ` Reason: ${reason}` : ""}<reset>`);
+                userManager.send(user.id, `You kick [p:${userName(target)}].`);
+                logInfo("admin", {type: "kick", by: `${user.firstName} ${user.lastName}`, target: `${target.firstName} ${target.lastName}`, reason});
+
+                target.client.end();
+                break;
+            }
+            case "goto": {
+                if (!data) {
+                    userManager.send(user.id, "Usage: [c:goto <player>], [c:goto <zone>:<room>] or [c:goto <zone>]");
+                    return;
+                }
+
+                let zoneId;
+                let roomId;
+
+                if (/^\d+:\d+$/.test(data) || (/^\d+$/.test(data) && zoneManager.getZone(data))) {
+                    // A zone on its own stands for its default room
+                    [zoneId, roomId] = data.includes(":") ? data.split(":").map((id) => roomManager.pad(id)) : [zoneManager.getZoneKey(data), zoneManager.getZone(data).defaultRoom];
+                    if (!roomManager.exists(zoneId, roomId)) {
+                        userManager.send(user.id, `Room ${zoneId}:${roomId} does not exist.`);
+                        return;
+                    }
+                } else {
+                    const target = findPlayer(data);
+                    if (!target) {
+                        return;
+                    }
+                    zoneId = target.zoneId;
+                    roomId = target.roomId;
+                }
+
+                if (user.zoneId === zoneId && user.roomId === roomId) {
+                    userManager.send(user.id, "You are already there.");
+                    return;
+                }
+
+                teleport(user, zoneId, roomId, "vanishes in a flash of light.", "appears in a flash of light.");
+                logInfo("admin", {type: "goto", by: `${user.firstName} ${user.lastName}`, zoneId, roomId});
+                break;
+            }
+            case "summon": {
+                if (!data) {
+                    userManager.send(user.id, "Usage: [c:summon <player>]");
+                    return;
+                }
+
+                const target = findPlayer(data);
+                if (!target) {
+                    return;
+                }
+
+                if (target.id === user.id) {
+                    userManager.send(user.id, "You are already here.");
+                    return;
+                }
+
+                userManager.send(target.id, `You are summoned by [p:${userName(user)}].`);
+                teleport(target, user.zoneId, user.roomId, "is pulled away by an unseen force.", `appears, summoned by [p:${userName(user)}].`);
+                logInfo("admin", {type: "summon", by: `${user.firstName} ${user.lastName}`, target: `${target.firstName} ${target.lastName}`});
+                break;
+            }
+            case "rescue": {
+                let target = user;
+
+                if (data) {
+                    if (!permissionManager.hasCapability(user, "admin")) {
+                        userManager.send(user.id, permissionManager.getDenialMessage(user, "rescue <player>"));
+                        return;
+                    }
+                    target = findPlayer(data);
+                    if (!target) {
+                        return;
+                    }
+                    userManager.send(target.id, `You are rescued by [p:${userName(user)}].`);
+                }
+
+                const startZone = process.env.START_ZONE || "000";
+                const startRoom = process.env.START_ROOM || "000";
+
+                if (target.zoneId === startZone && target.roomId === startRoom) {
+                    userManager.send(user.id, `[p:${userName(target)}] is already in the start room.`);
+                    return;
+                }
+
+                teleport(target, startZone, startRoom, "is whisked away to safety.", "arrives, looking relieved.");
+                logInfo("admin", {type: "rescue", by: `${user.firstName} ${user.lastName}`, target: `${target.firstName} ${target.lastName}`});
+                break;
+            }
+            case "broadcast": {
+                if (!data) {
+                    userManager.send(user.id, "Usage: [c:broadcast <message>]");
+                    return;
+                }
+
+                userManager.broadcast(`<red>[Broadcast from [p:${userName(user)}]<red>]<reset> ${data}`);
+                logInfo("admin", {type: "broadcast", by: `${user.firstName} ${user.lastName}`, message: data});
+                break;
+            }
+            case "shutdown": {
+                if (data.toLowerCase() === "cancel") {
+                    if (!serverManager.cancelShutdown()) {
+                        userManager.send(user.id, "No shutdown is scheduled.");
+                    }
+                    return;
+                }
+
+                const [delayArgument, ...reasonWords] = data.split(" ");
+                let delay = 0;
+                let reason = data;
+
+                if (/^\d+$/.test(delayArgument)) {
+                    delay = parseInt(delayArgument, 10);
+                    reason = reasonWords.join(" ");
+                }
+
+                logInfo("admin", {type: "shutdown", by: `${user.firstName} ${user.lastName}`, delay, reason});
+                serverManager.scheduleShutdown(delay, reason);
+                break;
+            }
+        }
+    }
+};
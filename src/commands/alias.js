@@ -0,0 +1,109 @@
+/**
+ * Command name: alias
+ * Description: This command lets registered players define shortcuts for commands they use often.
+ *
+ * Usage:
+ * "alias": Lists your aliases.
+ * "alias <name>": Shows what an alias does.
+ * "alias <name> <commands>": Defines an alias, separate several commands with ";" to make a macro.
+ * "unalias <name>": Removes an alias.
+ *
+ * In an alias "$1" to "$9" are replaced by the words typed after it, "$*" by all of them and
+ * "$$" by a dollar sign. Without any "$" the words are added at the end. Aliases can not be
+ * named like a command or channel.
+ *
+ * E.g:
+ * "alias lantern item edit "brass hand lantern:1" description $*" - "lantern A dented lantern." edits the description.
+ * "alias home rescue;look" - "home" runs "rescue" and then "look".
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `commandHandler`: Handler to look up commands, aliases may not hide them.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+// Most aliases a player can define
+const MAX_ALIASES = 50;
+
+// Longest text an alias can stand for
+const MAX_ALIAS_LENGTH = 500;
+
+module.exports = {
+    name: "alias",
+    description: "This command lets registered players define shortcuts for commands they use often.",
+    help: "Use [c:alias <name> <commands>] to define a shortcut, with $1 to $9 for the words typed after it, $* for all of them and ; between the commands of a macro. Use [c:alias] to list your aliases, [c:alias <name>] to show one and [c:unalias <name>] to remove one.",
+    aliases: ["unalias"],
+    capability: "general",
+    execute(params) {
+        let command = params.command;
+        let user = params.user;
+        let userManager = params.userManager;
+        let commandHandler = params.commandHandler;
+        let data = _.trim(params.data);
+
+        if (user.temporary) {
+            userManager.send(user.id, "You are a visitor, none of your settings can be changed. Please consider creating an account with [c:user create].");
+            return;
+        }
+
+        const aliases = user.aliases || {};
+        const [name = ""] = data.split(/\s+/);
+        const aliasName = name.toLowerCase();
+        const text = _.trim(data.slice(name.length));
+
+        // Show the alias text escaped, so its tags can be read
+        const showAlias = (key) => `<ht>[c:${key}] ${userManager.escapeMarkup(aliases[key], [])}`;
+
+        if (command === "unalias") {
+            if (!_.has(aliases, aliasName)) {
+                userManager.send(user.id, aliasName ? `You have no alias called ${aliasName}.` : "Usage: [c:unalias <name>]");
+                return;
+            }
+
+            user.aliases = _.omit(aliases, aliasName);
+            userManager.save(user);
+            userManager.send(user.id, `Alias ${aliasName} removed.`);
+            return;
+        }
+
+        if (!aliasName) {
+            const names = Object.keys(aliases).sort();
+            userManager.send(user.id, names.length ? `Your aliases:\r\n${names.map(showAlias).join("\r\n")}` : "You have no aliases. Use [c:alias <name> <commands>] to define one.");
+            return;
+        }
+
+        if (!text) {
+            userManager.send(user.id, _.has(aliases, aliasName) ? showAlias(aliasName) : `You have no alias called ${aliasName}.`);
+            return;
+        }
+
+        if (!/^[a-z][a-z0-9_-]*$/.test(aliasName)) {
+            userManager.send(user.id, "Alias names start with a letter and can only contain letters, digits, hyphens and underscores.");
+            return;
+        }
+
+        if (commandHandler.getCommand(aliasName)) {
+            userManager.send(user.id, `${aliasName} is already a command or channel, please choose another name.`);
+            return;
+        }
+
+        if (text.length > MAX_ALIAS_LENGTH) {
+            userManager.send(user.id, `An alias can be at most ${MAX_ALIAS_LENGTH} characters long.`);
+            return;
+        }
+
+        if (!_.has(aliases, aliasName) && Object.keys(aliases).length >= MAX_ALIASES) {
+            userManager.send(user.id, `You can have at most ${MAX_ALIASES} aliases, use [c:unalias <name>] to remove one first.`);
+            return;
+        }
+
+        user.aliases = {...aliases, [aliasName]: text};
+        userManager.save(user);
+        userManager.send(user.id, `Alias ${aliasName} set.`);
+    },
+};
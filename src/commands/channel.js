@@ -0,0 +1,158 @@
+/**
+ * Command name: channel
+ * Description: This command lets you join, leave and talk on chat channels.
+ *
+ * Usage:
+ * "channel list": Lists the channels you can use and whether you are listening to them, "channel" on its own does the same.
+ * "channel join <name>": Starts listening to a channel.
+ * "channel leave <name>": Stops listening to a channel.
+ * "channel who <name>": Lists the online players listening to a channel.
+ * "channel history <name>": Shows the last messages sent on a channel.
+ * "<name> <message>": Sends a message on a channel you are listening to.
+ *
+ * Channels are defined in db/channels.json. A channel named like an existing command can
+ * only be managed through "channel", the command wins when speaking.
+ *
+ * E.g:
+ * "channel join builders" - Starts listening to the builders channel.
+ * "chat Anyone up for a quest?" - Sends "Anyone up for a quest?" on the chat channel.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or channel name used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `channelManager`: Manager to handle channels and their scrollback.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+const moment = require("moment");
+
+module.exports = {
+    name: "channel",
+    description: "This command lets you join, leave and talk on chat channels.",
+    help: "Use [c:channel list] to see the channels, [c:channel join <name>] or [c:channel leave <name>] to listen to one or stop, [c:channel who <name>] to see who listens and [c:channel history <name>] for the last messages. Talk on a channel with [c:<name> <message>], e.g. [c:chat Hello!]",
+    aliases: [],
+    capability: "general",
+    execute(params) {
+        let command = params.command;
+        let user = params.user;
+        let userManager = params.userManager;
+        let channelManager = params.channelManager;
+        let data = params.data || "";
+        let {logInfo, logWarn, logError} = params.log;
+
+        const userName = (person) => person.morphedName || person.firstName + " " + person.lastName;
+
+        // Find a channel the user may use, telling the user when that fails
+        const findChannel = (name) => {
+            const channel = channelManager.getChannel(name);
+
+            if (!channel || !channelManager.canAccess(user, channel)) {
+                userManager.send(user.id, name ? `There is no channel called ${name}. Use [c:channel list] to see the channels.` : "Which channel? Use [c:channel list] to see the channels.");
+                return null;
+            }
+
+            return channel;
+        };
+
+        // Speaking on a channel by using its name as the command
+        if (command !== this.name) {
+            const channel = findChannel(command);
+            if (!channel) {
+                return;
+            }
+
+            if (!channelManager.isSubscribed(user, channel)) {
+                userManager.send(user.id, `You are not listening to ${channel.name}. Use [c:channel join ${channel.name}] first.`);
+                return;
+            }
+
+            const message = _.trim(data);
+            if (!message) {
+                userManager.send(user.id, `What do you want to say on ${channel.name}?`);
+                return;
+            }
+
+            const listeners = channelManager.getListeners(channel, userManager.getActiveUsers());
+            userManager.sendFrom(user, listeners.map((person) => person.id), channelManager.formatLine(channel, `[p:${userName(user)}]: ${message}`));
+            channelManager.addHistory(channel, user, message);
+            user.currentChannel = channel.name;
+
+            logInfo('communication', {type: 'channel', channel: channel.name, ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, message});
+            return;
+        }
+
+        const [subCommand = "list", name] = _.trim(data).split(/\s+/).filter((arg) => arg);
+
+        switch (subCommand.toLowerCase()) {
+            case "list": {
+                const channels = channelManager.getAvailableChannels(user);
+
+                if (!channels.length) {
+                    userManager.send(user.id, "There are no channels you can use.");
+                    return;
+                }
+
+                let output = "Channels:\r\n";
+                channels.forEach((channel) => {
+                    const state = channelManager.isSubscribed(user, channel) ? "<green>on<reset> " : "<red>off<reset>";
+                    output += `<ht>${state} ${channelManager.formatLine(channel, channel.description || "")}\r\n`;
+                });
+                output += "Use [c:channel join <name>] or [c:channel leave <name>] to change them.";
+
+                userManager.send(user.id, output);
+                break;
+            }
+            case "join":
+            case "leave": {
+                const channel = findChannel(name);
+                if (!channel) {
+                    return;
+                }
+
+                const joining = subCommand.toLowerCase() === "join";
+                if (channelManager.isSubscribed(user, channel) === joining) {
+                    userManager.send(user.id, joining ? `You are already listening to ${channel.name}.` : `You are not listening to ${channel.name}.`);
+                    return;
+                }
+
+                channelManager.setSubscribed(user, channel, joining);
+                userManager.save(user);
+                userManager.send(user.id, joining ? `You are now listening to ${channel.name}, talk on it with [c:${channel.name} <message>].` : `You are no longer listening to ${channel.name}.`);
+                break;
+            }
+            case "who": {
+                const channel = findChannel(name);
+                if (!channel) {
+                    return;
+                }
+
+                const listeners = channelManager.getListeners(channel, userManager.getActiveUsers());
+                userManager.send(user.id, listeners.length ? `Listening to ${channel.name}: ${listeners.map((person) => `[p:${userName(person)}]`).join(", ")}` : `Nobody online is listening to ${channel.name}.`);
+                break;
+            }
+            case "history": {
+                const channel = findChannel(name);
+                if (!channel) {
+                    return;
+                }
+
+                // Messages from people the user ignores are left out, just like when they were sent
+                const history = channelManager.getHistory(channel).filter((entry) => !userManager.isIgnoring(user, entry.sender));
+                if (!history.length) {
+                    userManager.send(user.id, `Nothing has been said on ${channel.name} yet.`);
+                    return;
+                }
+
+                const lines = history.map((entry) => `${moment(entry.sentAt).format("HH:mm")} ${channelManager.formatLine(channel, `[p:${entry.from}]: ${entry.message}`)}`);
+                userManager.send(user.id, `Last messages on ${channel.name}:\r\n${lines.join("\r\n")}`);
+                break;
+            }
+            default:
+                userManager.send(user.id, `Usage: ${this.help}`);
+                break;
+        }
+    },
+};
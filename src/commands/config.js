@@ -0,0 +1,109 @@
+/**
+ * Command name: config
+ * Description: This command lets registered players change and save their display settings.
+ *
+ * Usage:
+ * "config": Lists your settings and their current values.
+ * "config <setting> <value>": Changes a setting, "auto" goes back to what your client reports.
+ *
+ * Settings:
+ * "color on|off|auto": Show ANSI colors.
+ * "ascii on|off|auto": Show special characters such as ♥.
+ * "width <columns>|off|auto": Wrap output at this width.
+ * "pagelength <lines>|off|auto": Hold longer output behind a [more] prompt.
+ * "prompt full|short|none": How your prompt looks, use "prompt" to design your own.
+ * "brief on|off": Leave room descriptions out when walking in, "look" still shows them.
+ *
+ * E.g:
+ * "config color off" - Turns colors off, even if your client supports them.
+ * "config width 100" - Wraps output at 100 columns.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+// Parses "on" and "off" style answers, undefined for anything else
+const parseToggle = (value) => ({on: true, yes: true, off: false, no: false})[value];
+
+// Parses a screen size, 0 or "off" turns the feature off
+const parseSize = (value) => {
+    if (value === "off") {
+        return 0;
+    }
+
+    const size = /^\d+$/.test(value) ? parseInt(value) : NaN;
+    return size === 0 || (size >= 20 && size <= 500) ? size : undefined;
+};
+
+module.exports = {
+    name: "config",
+    description: "This command lets registered players change and save their display settings.",
+    help: "Use [c:config] to list your settings and [c:config <setting> <value>] to change one: [c:config color on|off|auto], [c:config ascii on|off|auto], [c:config width <columns>|off|auto], [c:config pagelength <lines>|off|auto], [c:config prompt full|short|none] or [c:config brief on|off]. Auto uses what your client reports.",
+    aliases: [],
+    capability: "general",
+    execute(params) {
+        let user = params.user;
+        let userManager = params.userManager;
+        let data = _.trim(params.data).toLowerCase();
+
+        // Setting names mapped to the preference they store, how to parse them and their value when not set
+        const settings = {
+            color: {key: "color", values: "on|off|auto", parse: parseToggle, auto: () => (user.supportsColor ? "on" : "off")},
+            ascii: {key: "highAscii", values: "on|off|auto", parse: parseToggle, auto: () => (user.supportsHighAscii ? "on" : "off")},
+            width: {key: "width", values: "<20-500>|off|auto", parse: parseSize, auto: () => userManager.getScreenWidth(_.omit(user, "preferences"))},
+            pagelength: {key: "pageLength", values: "<20-500>|off|auto", parse: parseSize, auto: () => userManager.getPageLength(_.omit(user, "preferences"))},
+            prompt: {key: "prompt", values: userManager.getPromptStyles().join("|"), parse: (value) => (userManager.getPromptStyles().includes(value) ? value : undefined), auto: () => "full"},
+            brief: {key: "brief", values: "on|off", parse: parseToggle, auto: () => "off"},
+        };
+
+        const showValue = (value) => (value === true ? "on" : value === false || value === 0 ? "off" : value);
+
+        if (user.temporary) {
+            userManager.send(user.id, "You are a visitor, none of your settings can be changed. Please consider creating an account with [c:user create].");
+            return;
+        }
+
+        if (!data) {
+            let output = "Your settings:\r\n";
+            _.forEach(settings, (setting, name) => {
+                const value = userManager.getPreference(user, setting.key);
+                const autoValue = setting.values.includes("auto") ? `auto (${showValue(setting.auto())})` : showValue(setting.auto());
+                const isCustomPrompt = name === "prompt" && value !== undefined && !userManager.getPromptStyles().includes(value);
+                output += `<ht>${_.padEnd(name, 11)} ${value === undefined ? autoValue : isCustomPrompt ? "custom, see [c:prompt]" : showValue(value)}\r\n`;
+            });
+            output += "Use [c:config <setting> <value>] to change one.";
+
+            userManager.send(user.id, output);
+            return;
+        }
+
+        const [name, value = ""] = data.split(/\s+/);
+        const setting = settings[name];
+
+        if (!setting) {
+            userManager.send(user.id, `There is no setting called ${name}. Use [c:config] to list your settings.`);
+            return;
+        }
+
+        if (value === "auto" && setting.values.includes("auto")) {
+            userManager.setPreference(user, setting.key, undefined);
+            userManager.send(user.id, `${name} set to: auto (${showValue(setting.auto())})`);
+            return;
+        }
+
+        const parsed = setting.parse(value);
+        if (parsed === undefined) {
+            userManager.send(user.id, `Usage: [c:config ${name} ${setting.values}]`);
+            return;
+        }
+
+        userManager.setPreference(user, setting.key, parsed);
+        userManager.send(user.id, `${name} set to: ${showValue(parsed)}`);
+    },
+};
@@ -17,6 +17,7 @@ module.exports = {
     description: "Roll dice with or without a modifier and with advantage or disadvantage.",
     help: "Format: `<number of dice>d<dice sides>[+/-<modifier>][adv/dis]`. Examples: [c:dice 2d6+3], [c:dice 1d20-2], [c:dice 2d20adv], [c:dice 4d10-2dis]. Each command broadcasts to a different range: 'dice' for the same room, 'ldice' for local rooms, and 'gdice' for global.",
     aliases: ["ldice", "gdice"],
+    capability: {default: "talk.room", ldice: "talk.local", gdice: "talk.global"},
     execute(params) {
         const { command, user, data, userManager, roomManager } = params;
         let {logInfo, logWarn, logError} = params.log;
@@ -57,16 +58,12 @@ module.exports = {
 
         switch (command) {
             case "ldice":
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not ldice, please use [c:user create] to create an account.`);
-                    return;
-                }
                 // Get the current room exits
-                let exits = roomManager.loadRoom(user.zoneId, user.roomId).exits;
+                let exits = roomManager.getExits(roomManager.loadRoom(user.zoneId, user.roomId));
 
                 // Iterate through the exits
-                _.forEach(exits, function (value) {
-                    const [nextZoneId, nextRoomId] = value.split(":");
+                _.forEach(exits, function (exit) {
+                    const [nextZoneId, nextRoomId] = exit.to.split(":");
 
                     // Get the users in the room that the exit leads to
                     let usersInExit = userManager.getRoomUsers(nextZoneId, nextRoomId) || [];
@@ -78,10 +75,6 @@ module.exports = {
                 logInfo('communication', {type:'ldice', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, message: data});
                 break;
             case "gdice":
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not gdice, please use [c:user create] to create an account.`);
-                    return;
-                }
                 // Override targetUsers with all active users
                 targetUsers = userManager.getActiveUsers() || [];
 
@@ -93,7 +86,8 @@ module.exports = {
         }
 
         // Send roll information to all targetUsers
-        userManager.send(
+        userManager.sendFrom(
+            user,
             targetUsers.map((person) => person.id),
             `[p:${user.morphedName || user.firstName + " " + user.lastName}] rolls: ${data}\r\n${output}`
         );
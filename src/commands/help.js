@@ -13,6 +13,7 @@ module.exports = {
     description: "This command lists all available commands with their brief descriptions or provides detailed help on a specific command when followed by the command's name.",
     help: "Use [c:help] to get a list of all commands with their descriptions or [c:help <command>] to get a detailed description and usage for a specific command. Using [c:help <command>] will also show available aliases.",
     aliases: ["?"],
+    capability: "general",
     execute(params) {
         let command = params.command;
         let user = params.user;
@@ -21,8 +22,8 @@ module.exports = {
         let data = params.data;
         let commandHandler = params.commandHandler;
 
-        // Get all unique commands from CommandHandler object
-        const mainCommands = commandHandler.getMainCommands();
+        // Get all unique commands the user is allowed to run from CommandHandler object
+        const mainCommands = commandHandler.getAvailableCommands(user);
 
         // Helper function to construct detailed help message for a specific command
         const getDetailedCommandHelp = (commandObj) => {
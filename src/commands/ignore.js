@@ -0,0 +1,97 @@
+/**
+ * Command name: ignore
+ * Description: This command lets you stop seeing what another player says and does.
+ *
+ * Usage:
+ * "ignore <player>": Ignores a player, online or registered.
+ * "ignore list": Lists the players you ignore, "ignore" on its own does the same.
+ * "unignore <player>": Stops ignoring a player.
+ *
+ * Ignored players' says, acts, oocs, dice rolls, tells, channel messages and movement are
+ * not shown to you. Staff can not be ignored. The list is saved with your account.
+ *
+ * E.g:
+ * "ignore bob" - Ignores Bob, who has to be online.
+ * "ignore Bob Jones" - Ignores Bob Jones, whether or not they are online.
+ * "unignore bob" - Shows Bob's messages again.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+module.exports = {
+    name: "ignore",
+    description: "This command lets you stop seeing what another player says and does.",
+    help: "Use [c:ignore <player>] to stop seeing what a player says and does, [c:unignore <player>] to see them again and [c:ignore list] to list the players you ignore. Staff can not be ignored.",
+    aliases: ["unignore"],
+    capability: "general",
+    execute(params) {
+        let command = params.command;
+        let user = params.user;
+        let userManager = params.userManager;
+        let data = _.trim(params.data);
+        let {logInfo, logWarn, logError} = params.log;
+
+        const ignoring = user.ignoring || [];
+        const userName = (person) => person.firstName + " " + person.lastName;
+
+        if (command === "unignore") {
+            if (!data) {
+                userManager.send(user.id, "Usage: [c:unignore <player>]");
+                return;
+            }
+
+            const matches = userManager.findUsersByName(data, ignoring);
+
+            if (matches.length !== 1) {
+                userManager.send(user.id, matches.length ? `Multiple ignored players match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}.` : `You are not ignoring anyone called [p:${data}].`);
+                return;
+            }
+
+            userManager.unignore(user, matches[0].id);
+            userManager.send(user.id, `You are no longer ignoring [p:${userName(matches[0])}].`);
+            return;
+        }
+
+        if (!data || data.toLowerCase() === "list") {
+            userManager.send(user.id, ignoring.length ? `You are ignoring: ${ignoring.map((person) => `[p:${userName(person)}]`).join(", ")}` : "You are not ignoring anyone.");
+            return;
+        }
+
+        // Online players first, then registered players by their full name
+        const matches = userManager.findPlayersByName(data);
+
+        if (matches.length !== 1) {
+            userManager.send(user.id, matches.length ? `Multiple people match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}. Use the full name if needed.` : `There is nobody called [p:${data}] online or registered.`);
+            return;
+        }
+
+        const target = matches[0];
+
+        if (target.id === user.id) {
+            userManager.send(user.id, "You can not ignore yourself.");
+            return;
+        }
+
+        if (userManager.isStaff(target)) {
+            userManager.send(user.id, `You can not ignore [p:${userName(target)}], they are staff.`);
+            return;
+        }
+
+        if (_.some(ignoring, {id: target.id})) {
+            userManager.send(user.id, `You are already ignoring [p:${userName(target)}].`);
+            return;
+        }
+
+        userManager.ignore(user, target);
+        userManager.send(user.id, `You are now ignoring [p:${userName(target)}].`);
+
+        logInfo('ignore', {ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, targetFirstName: target.firstName, targetLastName: target.lastName});
+    },
+};
@@ -27,6 +27,7 @@ module.exports = {
     name: "inventory",
     description: "List the items in your inventory.",
     aliases: ["i", "inv"],
+    capability: "items.basic",
     help: 'Use [c:inventory] to see a list of items you are currently carrying.',
     execute: async (params) => {
         const {user, userManager, itemManager} = params;
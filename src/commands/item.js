@@ -30,6 +30,7 @@ module.exports = {
     description: "This command allows you to create and modify items.",
     help: 'Use [c:item create "<item name>" [quantity]] to create an item. Use [c:item edit "<item name>" <property> "<value>"] to edit an item. Use [c:item delete "<item name>"] to delete an item.',
     aliases: ["arrange", "assemble", "blend", "brew", "build", "carve", "cast", "chisel", "compose", "concoct", "construct", "craft", "create", "cut", "draft", "engender", "engineer", "engrave", "establish", "etch", "fabricate", "fashion", "fix", "forge", "form", "formulate", "frame", "generate", "hew", "imprint", "incise", "initiate", "inscribe", "institute", "invent", "knit", "make", "manufacture", "mark", "mill", "mint", "model", "mold", "notch", "orchestrate", "originate", "plant", "prepare", "press", "produce", "sew", "sculpt", "shape", "spawn", "stamp", "stitch", "structure", "synthesize", "tailor", "trace", "weave", "weld"],
+    capability: "items.manage",
     execute(params) {
         let command = params.command;
         let user = params.user;
@@ -39,12 +40,6 @@ module.exports = {
         let data = params.data;
         let {logInfo, logWarn, logError} = params.log;
 
-        // Role check to ensure only players with a role other than "visitor" can run this command
-        if (user.role === 'visitor') {
-            userManager.send(user.id, 'Visitors cannot use item tools, please use [c:user create] to create an account.');
-            return;
-        }
-
         if (!data) {
             userManager.send(user.id, `Usage: ${this.help}`);
             return;
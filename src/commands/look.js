@@ -34,6 +34,7 @@
  * - `user`: The user object idenfying who is interacting.
  * - `userManager`: Manager to handle user related requirements.
  * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to name the zone the room is in.
  * - `data`: The additional data provided with the command.
  */
 
@@ -44,12 +45,15 @@ module.exports = {
     description: 'Allows the user to look around in the current room or at specific entities.',
     help: "Use this command to observe your surroundings. You can look in a direction with [c:look <direction>], at yourself with [c:look self], at others with [c:look <player name>], at room props with [c:look <prop name>], at specific items or characters.",
     aliases: ["l", "read", "examine", "inspect", "view", "check", "study", "observe", "scrutinize", "survey", "glance", "explore", "focus", "glimpse", "stare", "peek", "analyze", "notice", "identify"],
+    capability: "explore",
     execute(params) {
         let command = params.command;
         let user = params.user;
         let userManager = params.userManager;
         let roomManager = params.roomManager;
         let itemManager = params.itemManager;
+        let permissionManager = params.permissionManager;
+        let zoneManager = params.zoneManager;
         let data = params.data;
         let {logInfo, logWarn, logError} = params.log;
 
@@ -205,13 +209,17 @@ module.exports = {
             const props = roomProps;
             const unparsedDescription = currentRoom.description;
             const roomDescription = parseProps(unparsedDescription, props);
-            const roomExits = currentRoom.exits || {};
+            // Hidden exits are left out, closed doors are pointed out
+            const roomExits = roomManager.getExits(currentRoom).filter((exit) => !exit.hidden);
 
             const peopleInRoomNames = roomPeople.map((person) => `[p:${person.morphedName || person.firstName + " " + person.lastName}]`) || [];
 
-            let fullRoomDescription = `<yellow>{ <cyan>${roomName}<reset> <yellow>}<reset>${user.role === "administrator" ? ' [' + currentRoom.zoneId + ':' + currentRoom.roomId + ']' : ''}`;
-            fullRoomDescription += `\n${roomDescription}`;
-            fullRoomDescription += `\nExits: ${Object.keys(roomExits).map((exit) => `[e:${exit}]`).join(" ")}`;
+            let fullRoomDescription = `<yellow>{ <cyan>${roomName}<reset> <yellow>}<reset> in ${zoneManager.getZoneName(currentRoom.zoneId)}${currentRoom.locked ? " <red>(locked)<reset>" : ""}${permissionManager.hasCapability(user, "world.view_ids") ? ' [' + currentRoom.zoneId + ':' + currentRoom.roomId + ']' : ''}`;
+            // Brief mode leaves the description out when walking in, "look" still shows it
+            if (params.context !== "emit" || !userManager.getPreference(user, "brief", false)) {
+                fullRoomDescription += `\n${roomDescription}`;
+            }
+            fullRoomDescription += `\nExits: ${roomExits.map((exit) => `[e:${exit.direction}]${exit.name && exit.closed ? ` (closed ${exit.name})` : ""}`).join(" ")}`;
             fullRoomDescription += `\nPeople: <red>${peopleInRoomNames.length > 0 ? peopleInRoomNames.join(", ") : "none"}<reset>`;
 
             // Add items in the room to the description
@@ -262,13 +270,19 @@ module.exports = {
         };
 
         const lookInDirection = (direction) => {
-            let roomExits = currentRoom.exits;
-            if (!roomExits || !roomExits[direction]) {
+            let exit = roomManager.getExit(currentRoom, direction);
+            if (!exit) {
                 userManager.send(user.id, `There is no exit ${direction}.`);
                 return;
             }
 
-            let [nextZoneId, nextRoomId] = roomExits[direction].split(":");
+            // A closed door blocks the view
+            if (exit.name && exit.closed) {
+                userManager.send(user.id, `${_.capitalize(direction)} you see a closed ${exit.name}.`);
+                return;
+            }
+
+            let [nextZoneId, nextRoomId] = exit.to.split(":");
 
             let nextRoom = roomManager.loadRoom(nextZoneId, nextRoomId);
 
@@ -278,10 +292,10 @@ module.exports = {
             }
 
             let nextRoomName = nextRoom.name;
-            let nextRoomExits = nextRoom.exits || {};
+            let nextRoomExits = roomManager.getExits(nextRoom).filter((nextRoomExit) => !nextRoomExit.hidden);
             let nextRoomPeople = userManager.getActiveUsers().filter((activeUser) => activeUser.zoneId === nextZoneId && activeUser.roomId === nextRoomId) || [];
 
-            let exitMessage = Object.keys(nextRoomExits).length ? ` with ${Object.keys(nextRoomExits).length} exits` : "";
+            let exitMessage = nextRoomExits.length ? ` with ${nextRoomExits.length} exits` : "";
             let peopleMessage = nextRoomPeople.length ? ` ${nextRoomPeople.length} people` : "";
 
             userManager.send(user.id, `${_.capitalize(direction)} you see <cyan>${nextRoomName}<reset>${exitMessage}${peopleMessage}.`);
@@ -291,39 +305,23 @@ module.exports = {
             );
         };
 
-        // Function to look at a prop based on its name
-        const lookAtProp = (propName) => {
-            const propDescription = currentRoom.props[propName];
-
-            if (!propDescription) {
-                userManager.send(user.id, `There is no ${propName} here.`);
-            }
+        // Function to look at a prop, some props reveal more when looked at in a particular way
+        const lookAtProp = (prop) => {
+            const detail = (prop.details || {})[command];
 
-            userManager.send(user.id, `${propDescription}`);
+            userManager.send(user.id, parseProps(detail ? `${prop.description}\n${detail}` : prop.description, roomProps));
             userManager.send(
                 roomPeople.map((person) => person.id),
-                `[p:${user.morphedName || user.firstName + " " + user.lastName}] ${actionLookup["prop"][command]} ${_.capitalize(propName)}.`
+                `[p:${user.morphedName || user.firstName + " " + user.lastName}] ${actionLookup["prop"][command]} ${_.capitalize(prop.name)}.`
             );
         };
 
         const lookAtPerson = (name) => {
-            // Split the input into potential name parts
-            let nameParts = name.toLowerCase().split(" ");
-
             // Get an array of people in the same room, excluding the current user
             let peopleInRoom = userManager.getActiveUsers().filter((activeUser) => activeUser.zoneId === zoneId && activeUser.roomId === roomId && activeUser.id !== user.id) || [];
 
-            // Filter to find matching people in the same room
-            let peopleFound = peopleInRoom.filter((user) => {
-                let fullName = (user.firstName + " " + user.lastName).toLowerCase();
-                let morphedName = user.morphedName ? user.morphedName.toLowerCase() : "";
-
-                // Check if the input name matches full name, morphed name, or any part of them
-                return (
-                    nameParts.every(part => fullName.includes(part)) ||
-                    (user.morphedName && nameParts.every(part => morphedName.includes(part)))
-                );
-            });
+            // Find matching people in the same room by full name, morphed name, or any part of them
+            let peopleFound = userManager.findUsersByName(name, peopleInRoom);
 
             let output = '';
 
@@ -440,14 +438,14 @@ module.exports = {
                 return description;
             }
 
-            let parsedDescription = description;
-
-            Object.keys(props).forEach((propKey) => {
-                let regex = new RegExp(`\\b${propKey}\\b`, "gi");
-                parsedDescription = parsedDescription.replace(regex, `[i:${propKey}]`);
-            });
+            // Names and synonyms in one pattern, so a match is never highlighted twice
+            const propNames = roomManager.getPropNames(currentRoom);
+            if (!propNames.length) {
+                return description;
+            }
 
-            return parsedDescription;
+            const regex = new RegExp(`\\b(?:${propNames.map(_.escapeRegExp).join("|")})\\b`, "gi");
+            return description.replace(regex, "[i:$&]");
         };
 
         // Main flow logic
@@ -460,8 +458,8 @@ module.exports = {
         } else if (directions.includes(data)) {
             lookInDirection(directionMap[data] || data);
             return true;
-        } else if (currentRoom.props.hasOwnProperty(data)) {
-            lookAtProp(data);
+        } else if (roomManager.findProp(currentRoom, data)) {
+            lookAtProp(roomManager.findProp(currentRoom, data));
             return true;
         } else {
             // Normalize the data for case-insensitive comparison
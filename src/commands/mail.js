@@ -0,0 +1,151 @@
+/**
+ * Command name: mail
+ * Description: This command lets registered players leave messages for each other, even when offline.
+ *
+ * Usage:
+ * "mail send <first name> <last name> <message>": Sends a message to a registered player.
+ * "mail list": Lists the messages in your mailbox, "mail" on its own does the same.
+ * "mail read <number>": Shows a message and marks it as read.
+ * "mail delete <number>": Deletes a message, "mail delete all" empties your mailbox.
+ *
+ * E.g:
+ * "mail send Ann Smith See you at the tavern tonight." - Leaves a message for Ann Smith.
+ * "mail read 1" - Reads the first message in your mailbox.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `mailManager`: Manager to handle mailboxes.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+const moment = require("moment");
+
+// Visible characters of a message shown in the mailbox list
+const PREVIEW_LENGTH = 40;
+
+module.exports = {
+    name: "mail",
+    description: "This command lets registered players leave messages for each other, even when offline.",
+    help: "Use [c:mail send <first name> <last name> <message>] to send a message, [c:mail list] to list your messages, [c:mail read <number>] to read one and [c:mail delete <number>] or [c:mail delete all] to delete them.",
+    aliases: [],
+    capability: "mail",
+    execute(params) {
+        let user = params.user;
+        let userManager = params.userManager;
+        let mailManager = params.mailManager;
+        let data = params.data || "";
+        let {logInfo, logWarn, logError} = params.log;
+
+        // Shortens a message body for the list. It is cut on the unescaped text, counting only
+        // visible characters, so color tags stay whole and escaped markup is not split up.
+        const preview = (body) => {
+            const text = userManager.unescapeMarkup(body);
+            let cut = "";
+            let length = 0;
+
+            for (const part of text.split(/(<[^<>\s]*>)/)) {
+                if (userManager.playerTags.includes(part)) {
+                    cut += part;
+                    continue;
+                }
+
+                if (length + part.length > PREVIEW_LENGTH) {
+                    return `${userManager.escapeMarkup(cut + part.slice(0, PREVIEW_LENGTH - length))}...<reset>`;
+                }
+
+                cut += part;
+                length += part.length;
+            }
+
+            return `${body}<reset>`;
+        };
+
+        const [subCommand = "list", ...args] = _.trim(data).split(/\s+/).filter((arg) => arg);
+
+        switch (subCommand.toLowerCase()) {
+            case "send": {
+                const [firstName, lastName, ...words] = args;
+                const body = words.join(" ");
+
+                if (!firstName || !lastName || !body) {
+                    userManager.send(user.id, "Usage: [c:mail send <first name> <last name> <message>]");
+                    return;
+                }
+
+                const recipient = userManager.getIndexedUser(firstName, lastName);
+                if (!recipient) {
+                    userManager.send(user.id, `There is no registered player called [p:${firstName} ${lastName}].`);
+                    return;
+                }
+
+                try {
+                    mailManager.sendMail(user, recipient.id, body);
+                } catch (error) {
+                    userManager.send(user.id, `Your message to [p:${recipient.firstName} ${recipient.lastName}] could not be delivered. ${error.message}`);
+                    return;
+                }
+
+                userManager.send(user.id, `Your message to [p:${recipient.firstName} ${recipient.lastName}] has been delivered.`);
+
+                // Let the recipient know right away if they are online
+                const onlineRecipient = userManager.getUser({id: recipient.id});
+                if (onlineRecipient) {
+                    userManager.send(recipient.id, `You have new mail from [p:${user.firstName} ${user.lastName}]. Use [c:mail list] to see your messages.`);
+                }
+
+                logInfo('communication', {type: 'mail', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, targetFirstName: recipient.firstName, targetLastName: recipient.lastName});
+                break;
+            }
+            case "list": {
+                const messages = mailManager.getMessages(user.id);
+
+                if (!messages.length) {
+                    userManager.send(user.id, "Your mailbox is empty.");
+                    return;
+                }
+
+                let output = `Your mailbox (${messages.length}/${mailManager.sizeLimit}):\r\n`;
+                messages.forEach((message, index) => {
+                    output += `<ht>${message.read ? " " : "<green>*<reset>"} ${index + 1}. [p:${message.from.firstName} ${message.from.lastName}] (${moment(message.sentAt).format("YYYY-MM-DD HH:mm")}): ${preview(message.body)}\r\n`;
+                });
+                output += "Use [c:mail read <number>] to read a message.";
+
+                userManager.send(user.id, output);
+                break;
+            }
+            case "read": {
+                const message = mailManager.readMail(user.id, parseInt(args[0]));
+
+                if (!message) {
+                    userManager.send(user.id, "There is no message with that number. Use [c:mail list] to see your messages.");
+                    return;
+                }
+
+                userManager.send(user.id, `From: [p:${message.from.firstName} ${message.from.lastName}]\r\nSent: ${moment(message.sentAt).format("YYYY-MM-DD HH:mm")}\r\n\r\n${message.body}<reset>`);
+                break;
+            }
+            case "delete": {
+                if (args[0] && args[0].toLowerCase() === "all") {
+                    const count = mailManager.clearMail(user.id);
+                    userManager.send(user.id, `Deleted ${count} message(s).`);
+                    return;
+                }
+
+                if (!mailManager.deleteMail(user.id, parseInt(args[0]))) {
+                    userManager.send(user.id, "There is no message with that number. Use [c:mail list] to see your messages.");
+                    return;
+                }
+
+                userManager.send(user.id, `Message ${parseInt(args[0])} deleted.`);
+                break;
+            }
+            default:
+                userManager.send(user.id, `Usage: ${this.help}`);
+                break;
+        }
+    },
+};
@@ -14,6 +14,7 @@ module.exports = {
     description: "This command allows the user to set their morphed name and description, or revert back to their normal form.",
     help: "Use [c:morph set name <name>] to set your morphed name. Use [c:morph set description <description>] to set your morphed description. Use [c:morph revert] to revert back to your normal form, clearing both morphed name and morphed description.",
     aliases: ["transform", "shift", "transfigure"],
+    capability: "morph",
     execute(params) {
         const command = params.command;
         const user = params.user;
@@ -28,6 +28,7 @@ module.exports = {
     description: "This command lets you broadcast a message in various scopes.",
     help: "Use [c:ooc <message>], [c:looc <message>], or [c:gooc <message>] to broadcast a message. Each command broadcasts to a different range: 'ooc' for the same room, 'looc' for local rooms, and 'gooc' for global.",
     aliases: ["looc", "gooc"],
+    capability: {default: "talk.room", looc: "talk.local", gooc: "talk.global"},
     execute(params) {
         let command = params.command;
         let user = params.user;
@@ -48,7 +49,8 @@ module.exports = {
             // Get all users in the same room
             let usersInRoom = userManager.getRoomUsers(user.zoneId, user.roomId).filter((roomUser) => roomUser.id !== user.id) || [];
             // The message that other users in the room will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 usersInRoom.map((person) => person.id),
                 `[p:${user.morphedName || user.firstName + " " + user.lastName}] OOC, "${data}<reset>"`
             );
@@ -60,7 +62,8 @@ module.exports = {
             // Get all users in the same room
             let usersInRoom = userManager.getRoomUsers(user.zoneId, user.roomId).filter((roomUser) => roomUser.id !== user.id) || [];
             // The message that other users in the room will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 usersInRoom.map((person) => person.id),
                 `[p:${user.morphedName || user.firstName + " " + user.lastName}] LOOC, "${data}<reset>"`
             );
@@ -69,17 +72,18 @@ module.exports = {
             let currentRoom = roomManager.loadRoom(user.zoneId, user.roomId);
 
             // Get the current room exits
-            let exits = currentRoom.exits;
+            let exits = roomManager.getExits(currentRoom);
 
             // Iterate through the exits
-            _.forEach(exits, function (value) {
-                [nextZoneId, nextRoomId] = value.split(":");
+            _.forEach(exits, function (exit) {
+                [nextZoneId, nextRoomId] = exit.to.split(":");
 
                 // Get the users in the room that exit leads to
                 let usersInExit = userManager.getRoomUsers(nextZoneId, nextRoomId) || [];
 
                 // Send message to users in adjacent rooms
-                userManager.send(
+                userManager.sendFrom(
+                    user,
                     usersInExit.map((person) => person.id),
                     `(from nearby) [p:${user.morphedName || user.firstName + " " + user.lastName}] LOOC, "${data}<reset>"`
                 );
@@ -93,7 +97,8 @@ module.exports = {
             // Get all users in the same room
             let allUsers = userManager.getActiveUsers().filter((activeUser) => activeUser.id !== user.id) || [];
             // The message that other users on the server will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 allUsers.map((person) => person.id),
                 `(from somewhere) [p:${user.morphedName || user.firstName + " " + user.lastName}] GOOC, "${message}"`
             );
@@ -101,19 +106,11 @@ module.exports = {
 
         switch (command) {
             case "looc":
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not looc, please use [c:user create] to create an account.`);
-                    return;
-                }
                 sendLocally(user, data);
 
                 logInfo('communication', {type:'looc', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, message: data});
                 break;
             case "gooc":
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not gooc, please use [c:user create] to create an account.`);
-                    return;
-                }
                 sendGlobally(user, data);
 
                 logInfo('communication', {type:'gooc', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, message: data});
@@ -1,18 +1,27 @@
 /**
  * Command name: open
- * Description: Open or close a container.
- * The command aliases correspond to different ways of opening or closing a container.
+ * Description: Open, close, lock or unlock a door or container.
+ * The command aliases correspond to different ways of opening or closing a door or container.
  *
- * "open": Open a container.
- * "close": Close a container.
+ * "open": Open a door or container.
+ * "close": Close a door or container.
+ * "lock": Lock a door.
+ * "unlock": Unlock a door.
  *
  * Usage:
- * "open <container>": Opens the specified container if it's in the room or the user's inventory.
- * "close <container>": Closes the specified container if it's in the room or the user's inventory.
+ * "open <direction|door|container>": Opens a door in the room, or a container in the room or the user's inventory.
+ * "close <direction|door|container>": Closes a door in the room, or a container in the room or the user's inventory.
+ * "lock <direction|door>": Locks a closed door, the key has to be in the user's inventory.
+ * "unlock <direction|door>": Unlocks a door, the key has to be in the user's inventory.
+ *
+ * Doors are found by direction first, then by name. The door on the other side opens, closes,
+ * locks and unlocks along with it, unless the door only goes one way.
  *
  * Example:
  * "open chest" - Opens a chest in the room or the user's inventory.
  * "close chest" - Closes a chest in the room or the user's inventory.
+ * "unlock north" - Unlocks the door north with its key.
+ * "open oak door" - Opens the oak door.
  *
  * @param {object} params - An object containing different parameters to control the execution of this command.
  * The structure of the `params` object is:
@@ -26,16 +35,124 @@
 
 const _ = require("lodash");
 
+// Mapping from short to long form directions
+const directionMap = {
+    n: "north",
+    s: "south",
+    e: "east",
+    w: "west",
+    u: "up",
+    d: "down",
+    ne: "northeast",
+    nw: "northwest",
+    se: "southeast",
+    sw: "southwest",
+};
+
+// What each command does to a door, and the door state it leaves behind
+const doorActions = {
+    open: {past: "opened", changes: {closed: false}},
+    close: {past: "closed", changes: {closed: true}},
+    lock: {past: "locked", changes: {locked: true}},
+    unlock: {past: "unlocked", changes: {locked: false}},
+};
+
+/**
+ * Opens, closes, locks or unlocks a door, telling the people on both sides.
+ *
+ * @param {object} params - The command params.
+ * @param {object} exit - The exit with the door, see RoomManager.getExit.
+ * @param {Room} currentRoom - The room the user is in.
+ * @returns {boolean} - Whether the door changed.
+ */
+function useDoor(params, exit, currentRoom) {
+    const {command, user, userManager, roomManager, itemManager} = params;
+    const doorName = `${exit.name} ${exit.direction}`;
+    const userName = user.morphedName || user.firstName + " " + user.lastName;
+
+    if (command === "open" && !exit.closed) {
+        userManager.send(user.id, `The ${doorName} is already open.`);
+        return false;
+    }
+
+    if (command === "open" && exit.locked) {
+        userManager.send(user.id, `The ${doorName} is locked.`);
+        return false;
+    }
+
+    if (command === "close" && exit.closed) {
+        userManager.send(user.id, `The ${doorName} is already closed.`);
+        return false;
+    }
+
+    // Locking and unlocking takes the door's key
+    let keyItem = null;
+    if (command === "lock" || command === "unlock") {
+        if (!exit.key) {
+            userManager.send(user.id, `The ${doorName} has no lock.`);
+            return false;
+        }
+
+        if (exit.locked === (command === "lock")) {
+            userManager.send(user.id, `The ${doorName} is already ${doorActions[command].past}.`);
+            return false;
+        }
+
+        if (command === "lock" && !exit.closed) {
+            userManager.send(user.id, `The ${doorName} has to be closed before it can be locked.`);
+            return false;
+        }
+
+        keyItem = itemManager.findItems({owner: user.id, type: "key"}).find((item) => item.id === exit.key);
+        if (!keyItem) {
+            userManager.send(user.id, `You do not have the key to the ${doorName}.`);
+            return false;
+        }
+    }
+
+    // Look up the other side before the change, a one way door leaves it alone
+    const otherSide = !exit.oneWay && roomManager.getOtherSide(currentRoom, exit.direction);
+
+    roomManager.updateExit(currentRoom, exit.direction, doorActions[command].changes);
+
+    const withKey = keyItem ? ` with [i:${keyItem.name}]` : "";
+    const roomPeople = userManager.getRoomUsers(user.zoneId, user.roomId).filter((person) => person.id !== user.id);
+
+    userManager.send(user.id, `You ${command} the ${doorName}${withKey}.`);
+    userManager.sendFrom(user, roomPeople.map((person) => person.id), `[p:${userName}] ${command}s the ${doorName}${withKey}.`);
+
+    if (otherSide) {
+        const otherSidePeople = userManager.getRoomUsers(roomManager.pad(otherSide.room.zoneId), roomManager.pad(otherSide.room.roomId));
+        userManager.send(otherSidePeople.map((person) => person.id), `The ${otherSide.exit.name || exit.name} ${otherSide.exit.direction} is ${doorActions[command].past} from the other side.`);
+    }
+
+    return true;
+}
+
 module.exports = {
     name: "open",
-    description: "Open or close a container.",
-    aliases: ["close"],
-    help: 'Use [c:open <container>] to open a container, or [c:close <container>] to close a container.',
+    description: "Open, close, lock or unlock a door or container.",
+    aliases: ["close", "lock", "unlock"],
+    capability: "items.basic",
+    help: 'Use [c:open <direction|door|container>] to open a door or container, or [c:close <direction|door|container>] to close it. Use [c:lock <direction|door>] or [c:unlock <direction|door>] to lock or unlock a door, which takes its key.',
     execute: async (params) => {
         const {command, user, userManager, roomManager, itemManager, data} = params;
 
         if (!data) {
-            userManager.send(user.id, `Please specify a container to ${command}.`);
+            userManager.send(user.id, command === "lock" || command === "unlock" ? `Please specify a door to ${command}.` : `Please specify a door or container to ${command}.`);
+            return false;
+        }
+
+        // Doors come first, by direction or by name
+        const currentRoom = roomManager.loadRoom(user.zoneId, user.roomId);
+        const door = roomManager.findDoor(currentRoom, directionMap[data.toLowerCase()] || data);
+
+        if (door) {
+            return useDoor(params, door, currentRoom);
+        }
+
+        if (command === "lock" || command === "unlock") {
+            userManager.send(user.id, `There is no door "${data}" here.`);
             return false;
         }
 
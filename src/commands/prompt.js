@@ -0,0 +1,91 @@
+/**
+ * Command name: prompt
+ * Description: This command lets registered players design their own prompt.
+ *
+ * Usage:
+ * "prompt": Shows your prompt template and the tokens you can use in it.
+ * "prompt set <template>": Sets your prompt, the name of a prompt style such as "short" works too.
+ * "prompt reset": Goes back to the default prompt.
+ *
+ * Tokens:
+ * %name - Your name, or morphed name.
+ * %room - The name of the room you are in.
+ * %id - The zone:room id of the room you are in, staff only.
+ * %people - The number of people in the room.
+ * %mail - Your number of unread messages.
+ * %time - The server time.
+ * %channel - The channel you last talked on.
+ * %% - A percent sign.
+ *
+ * The allowed color tags work as everywhere else, e.g. "<cyan>".
+ *
+ * E.g:
+ * "prompt set <cyan>%room<reset> (%people here, %mail mail) >" - Shows e.g. "Space (3 here, 1 mail) >".
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+// Longest prompt template players can set
+const MAX_TEMPLATE_LENGTH = 120;
+
+module.exports = {
+    name: "prompt",
+    description: "This command lets registered players design their own prompt.",
+    help: "Use [c:prompt] to see your prompt template and the tokens you can use, [c:prompt set <template>] to change it, e.g. [c:prompt set %room (%people here) >], and [c:prompt reset] to go back to the default.",
+    aliases: [],
+    capability: "general",
+    execute(params) {
+        let user = params.user;
+        let userManager = params.userManager;
+        let data = _.trim(params.data);
+
+        if (user.temporary) {
+            userManager.send(user.id, "You are a visitor, none of your settings can be changed. Please consider creating an account with [c:user create].");
+            return;
+        }
+
+        const [subCommand = "", ...words] = data.split(" ");
+        const template = _.trim(words.join(" "));
+
+        switch (subCommand.toLowerCase()) {
+            case "": {
+                const current = userManager.getPromptTemplate(user);
+                const tokens = Object.keys(userManager.getPromptTokens()).map((token) => `%${token}`).join(", ");
+
+                // Show the template escaped, so its tags can be read
+                userManager.send(user.id, `Your prompt template: ${current === null ? "none" : userManager.escapeMarkup(current, [])}\r\nTokens: ${tokens}, %% for a percent sign.\r\nUse [c:prompt set <template>] to change it or [c:prompt reset] for the default.`);
+                break;
+            }
+            case "set": {
+                if (!template) {
+                    userManager.send(user.id, "Usage: [c:prompt set <template>]");
+                    return;
+                }
+
+                if (template.length > MAX_TEMPLATE_LENGTH) {
+                    userManager.send(user.id, `Your prompt template can be at most ${MAX_TEMPLATE_LENGTH} characters long.`);
+                    return;
+                }
+
+                userManager.setPreference(user, "prompt", template);
+                userManager.send(user.id, "Your prompt has been set.");
+                break;
+            }
+            case "reset": {
+                userManager.setPreference(user, "prompt", undefined);
+                userManager.send(user.id, "Your prompt has been reset.");
+                break;
+            }
+            default:
+                userManager.send(user.id, `Usage: ${this.help}`);
+                break;
+        }
+    },
+};
@@ -0,0 +1,656 @@
+/**
+ * Command name: room
+ * Description: This command lets builders dig, link and describe rooms from inside the game.
+ *
+ * Usage:
+ * "room dig <direction> [name]": Creates a new room in the current zone with an exit to it, and one back.
+ * "room link <direction> <zone:room>": Adds an exit from the current room to an existing room.
+ * "room unlink <direction> [zone:room]": Removes an exit from the current room.
+ * "room name <name>": Renames the current room.
+ * "room desc <description>": Changes the description of the current room.
+ * "room prop list": Lists the props of the current room, "room prop" on its own does the same.
+ * "room prop add <name> <description>": Adds a prop, quote names of more than one word.
+ * "room prop edit <name> description <description>": Changes what a prop looks like.
+ * "room prop edit <name> synonyms <word, word>": Sets other names the prop can be looked at by, "none" clears them.
+ * "room prop edit <name> detail <verb> <text>": Adds text only shown when the prop is looked at with that look verb, no text removes it.
+ * "room prop remove <name>": Removes a prop.
+ * "room lock" / "room unlock": Locks or unlocks the current room, if it is lockable.
+ * "room allow <player>": Lets a player into the room while it is locked.
+ * "room deny <player>": Takes a player off the list of allowed players.
+ * "room owner <player>": Hands the room over to another registered player.
+ * "room door <direction>": Shows the door on an exit.
+ * "room door <direction> name <name>": Puts a door on an exit, or renames it.
+ * "room door <direction> key <item|none>": Makes a key item in your inventory the key of the door.
+ * "room door <direction> hidden on|off": Leaves the exit out of the exit list, or shows it again.
+ * "room door <direction> oneway on|off": Stops or starts keeping the door on the other side in sync.
+ * "room door <direction> remove": Takes the door off the exit.
+ *
+ * Props are highlighted where their name or a synonym shows up in the room description.
+ *
+ * A locked room only lets in its owner, the allowed players and staff, others knock instead.
+ * Dug rooms are lockable, other rooms only when their lockable field is set.
+ *
+ * Doors can be opened, closed, locked and unlocked by everyone with open, close, lock and unlock,
+ * locking needs the key. Name, key and state are shared with the door on the way
+ * back, unless the door is one way.
+ *
+ * New rooms get the lowest free room id in the zone and the builder as creator and owner.
+ * The zone's owner and builders can dig and edit props from any room in it. Everything else
+ * builders can only change in rooms they own, zone owners in every room in their zone and staff
+ * in every room. Links only go one way, link the other room back to make a two way exit.
+ *
+ * E.g:
+ * "room dig north Dusty Hallway" - Creates "Dusty Hallway" to the north, with an exit south back here.
+ * "room link up 000:004" - Adds an exit up to room 004 in zone 000.
+ * "room desc Cobwebs hang from the low ceiling." - Describes the current room.
+ * "room prop add "low ceiling" Thick cobwebs cover every beam." - Adds a prop, "look low ceiling" shows it.
+ * "room prop edit "low ceiling" detail study A spider watches you from a crack." - "study low ceiling" also shows the spider.
+ * "room allow Bob Jones" - Lets Bob Jones in while the room is locked.
+ * "room door north name oak door" - Puts an oak door on the exit north, and on the way back south.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to handle zones, whose owners and builders may build in them.
+ * - `itemManager`: Manager to find the key items doors are locked with.
+ * - `commandHandler`: Handler to look up the look verbs prop details can use.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+// Longest room name and description builders can set
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Longest prop name or synonym, and most synonyms a prop can have
+const MAX_PROP_NAME_LENGTH = 40;
+const MAX_SYNONYMS = 10;
+
+// Mapping from short to long form directions
+const directionMap = {
+    n: "north",
+    s: "south",
+    e: "east",
+    w: "west",
+    u: "up",
+    d: "down",
+    ne: "northeast",
+    nw: "northwest",
+    se: "southeast",
+    sw: "southwest",
+};
+
+module.exports = {
+    name: "room",
+    description: "This command lets builders dig, link and describe rooms from inside the game.",
+    help: "Use [c:room dig <direction> <name>] to create a room with exits both ways (the name is optional), [c:room link <direction> <zone:room>] to add an exit to an existing room, [c:room unlink <direction>] to remove an exit, [c:room name <name>] to rename this room and [c:room desc <description>] to describe it. Use [c:room prop list], [c:room prop add <name> <description>], [c:room prop edit <name> description|synonyms|detail <value>] and [c:room prop remove <name>] for the things in a room that can be looked at. Use [c:room lock] or [c:room unlock] to keep others out, [c:room allow <player>] or [c:room deny <player>] to choose who may still come in and [c:room owner <player>] to hand the room over. Use [c:room door <direction> name|key|hidden|oneway|remove <value>] to put a door on an exit and set it up. You can only change rooms you own and dig in zones you build in.",
+    aliases: [],
+    capability: "world.build",
+    allowMarkup: true,
+    execute(params) {
+        let user = params.user;
+        let userManager = params.userManager;
+        let roomManager = params.roomManager;
+        let commandHandler = params.commandHandler;
+        let zoneManager = params.zoneManager;
+        let itemManager = params.itemManager;
+        let data = _.trim(params.data);
+        let {logInfo, logWarn, logError} = params.log;
+
+        const [subCommand = "", directionArg = ""] = data.split(/\s+/);
+        const text = _.trim(data.slice(subCommand.length));
+        const direction = directionMap[directionArg.toLowerCase()] || directionArg.toLowerCase();
+        const target = _.trim(text.slice(directionArg.length));
+
+        const currentRoom = roomManager.loadRoom(user.zoneId, user.roomId);
+        const currentKey = roomManager.getRoomKey(user.zoneId, user.roomId);
+        const roomPeople = userManager.getRoomUsers(user.zoneId, user.roomId).filter((person) => person.id !== user.id);
+
+        // Make sure the direction is valid, telling the user when it is not
+        const checkDirection = () => {
+            if (!roomManager.getOppositeDirection(direction)) {
+                userManager.send(user.id, "Invalid direction.");
+                return false;
+            }
+
+            return true;
+        };
+
+        // Splits a prop name, quoted when it has more than one word, from the text after it
+        const splitPropName = (text) => {
+            const [, quoted, word, rest = ""] = text.match(/^(?:"([^"]*)"|(\S+))\s*([\s\S]*)$/) || [];
+            return [_.trim(quoted ?? word ?? "").toLowerCase(), _.trim(rest)];
+        };
+
+        // Make sure a prop name or synonym is valid and not taken by another prop, telling the user when it is not
+        const checkPropName = (name, propName = null) => {
+            if (!/^[a-z0-9][a-z0-9 '-]*$/.test(name) || name.length > MAX_PROP_NAME_LENGTH) {
+                userManager.send(user.id, `Prop names can be at most ${MAX_PROP_NAME_LENGTH} characters long and can only contain letters, digits, spaces, hyphens and apostrophes.`);
+                return false;
+            }
+
+            const existing = roomManager.findProp(currentRoom, name);
+            if (existing && existing.name !== propName) {
+                userManager.send(user.id, `This room already has a prop called ${name}: [i:${existing.name}].`);
+                return false;
+            }
+
+            return true;
+        };
+
+        // Stores a prop, leaving out empty synonyms and details
+        const saveProp = (name, prop) => {
+            currentRoom.props[name] = _.omitBy(_.omit(prop, "name"), _.isEmpty);
+            roomManager.saveRoom(currentRoom);
+        };
+
+        const editProps = (text) => {
+            const [action = "list"] = text.split(/\s+/).filter((arg) => arg);
+            const [name, rest] = splitPropName(_.trim(text.slice(action.length)));
+
+            switch (action.toLowerCase()) {
+                case "list": {
+                    const props = Object.entries(currentRoom.props);
+                    if (!props.length) {
+                        userManager.send(user.id, "This room has no props. Use [c:room prop add <name> <description>] to add one.");
+                        return;
+                    }
+
+                    let output = "Props in this room:\r\n";
+                    props.forEach(([propName, prop]) => {
+                        output += `<ht>[i:${propName}] ${prop.description}\r\n`;
+                        if (!_.isEmpty(prop.synonyms)) {
+                            output += `<ht><ht>Synonyms: ${prop.synonyms.join(", ")}\r\n`;
+                        }
+                        _.forEach(prop.details, (detail, verb) => {
+                            output += `<ht><ht>When you ${verb} it: ${detail}\r\n`;
+                        });
+                    });
+
+                    userManager.send(user.id, _.trimEnd(output));
+                    return;
+                }
+                case "add": {
+                    if (!name || !rest) {
+                        userManager.send(user.id, "Usage: [c:room prop add <name> <description>]");
+                        return;
+                    }
+
+                    if (!checkPropName(name)) {
+                        return;
+                    }
+
+                    if (rest.length > MAX_DESCRIPTION_LENGTH) {
+                        userManager.send(user.id, `A prop description can be at most ${MAX_DESCRIPTION_LENGTH} characters long.`);
+                        return;
+                    }
+
+                    saveProp(name, {description: rest});
+                    userManager.send(user.id, `Prop [i:${name}] added.`);
+                    return;
+                }
+                case "edit": {
+                    const prop = roomManager.findProp(currentRoom, name);
+                    const [field = "", ...words] = rest.split(" ");
+                    const value = _.trim(words.join(" "));
+
+                    if (!prop || !field) {
+                        userManager.send(user.id, name && !prop ? `There is no prop called ${name} here.` : "Usage: [c:room prop edit <name> description|synonyms|detail <value>]");
+                        return;
+                    }
+
+                    switch (field.toLowerCase()) {
+                        case "desc":
+                        case "description": {
+                            if (!value) {
+                                userManager.send(user.id, "Usage: [c:room prop edit <name> description <description>]");
+                                return;
+                            }
+
+                            if (value.length > MAX_DESCRIPTION_LENGTH) {
+                                userManager.send(user.id, `A prop description can be at most ${MAX_DESCRIPTION_LENGTH} characters long.`);
+                                return;
+                            }
+
+                            saveProp(prop.name, {...prop, description: value});
+                            userManager.send(user.id, `The description of [i:${prop.name}] has been changed.`);
+                            return;
+                        }
+                        case "synonyms": {
+                            const synonyms = _.uniq(value.toLowerCase() === "none" ? [] : value.split(",").map((synonym) => _.trim(synonym).toLowerCase()).filter((synonym) => synonym && synonym !== prop.name));
+
+                            if (synonyms.length > MAX_SYNONYMS) {
+                                userManager.send(user.id, `A prop can have at most ${MAX_SYNONYMS} synonyms.`);
+                                return;
+                            }
+
+                            if (!synonyms.every((synonym) => checkPropName(synonym, prop.name))) {
+                                return;
+                            }
+
+                            saveProp(prop.name, {...prop, synonyms});
+                            userManager.send(user.id, synonyms.length ? `[i:${prop.name}] can now also be called: ${synonyms.join(", ")}.` : `[i:${prop.name}] has no synonyms anymore.`);
+                            return;
+                        }
+                        case "detail": {
+                            const [verb = "", ...words] = value.split(" ");
+                            const detail = _.trim(words.join(" "));
+                            const lookCommand = commandHandler.getCommand("look");
+                            const verbs = [lookCommand.name, ...lookCommand.aliases].filter((lookVerb) => lookVerb !== "l");
+
+                            if (!verbs.includes(verb.toLowerCase())) {
+                                userManager.send(user.id, `Usage: [c:room prop edit <name> detail <verb> <text>], where the verb is one of: ${verbs.join(", ")}.`);
+                                return;
+                            }
+
+                            if (detail.length > MAX_DESCRIPTION_LENGTH) {
+                                userManager.send(user.id, `A prop detail can be at most ${MAX_DESCRIPTION_LENGTH} characters long.`);
+                                return;
+                            }
+
+                            const details = detail && detail.toLowerCase() !== "none" ? {...prop.details, [verb.toLowerCase()]: detail} : _.omit(prop.details, verb.toLowerCase());
+                            saveProp(prop.name, {...prop, details});
+                            userManager.send(user.id, details[verb.toLowerCase()] ? `Looking at [i:${prop.name}] with ${verb.toLowerCase()} now reveals more.` : `The ${verb.toLowerCase()} detail of [i:${prop.name}] has been removed.`);
+                            return;
+                        }
+                        default:
+                            userManager.send(user.id, "Usage: [c:room prop edit <name> description|synonyms|detail <value>]");
+                            return;
+                    }
+                }
+                case "remove": {
+                    const prop = roomManager.findProp(currentRoom, name);
+                    if (!prop) {
+                        userManager.send(user.id, name ? `There is no prop called ${name} here.` : "Usage: [c:room prop remove <name>]");
+                        return;
+                    }
+
+                    currentRoom.props = _.omit(currentRoom.props, prop.name);
+                    roomManager.saveRoom(currentRoom);
+                    userManager.send(user.id, `Prop [i:${prop.name}] removed.`);
+                    return;
+                }
+                default:
+                    userManager.send(user.id, "Usage: [c:room prop list|add|edit|remove]");
+                    return;
+            }
+        };
+
+        const userName = (person) => person.firstName + " " + person.lastName;
+
+        // Find one online or registered player by name, telling the user when that fails
+        const findPlayer = (name) => {
+            const matches = userManager.findPlayersByName(name);
+
+            if (matches.length !== 1) {
+                userManager.send(user.id, matches.length ? `Multiple people match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}. Use the full name if needed.` : `There is nobody called [p:${name}] online or registered.`);
+                return null;
+            }
+
+            return matches[0];
+        };
+
+        if (subCommand && !currentRoom) {
+            userManager.send(user.id, "You are not in a room that can be built on.");
+            return;
+        }
+
+        // Only the owner of the room or its zone and staff may change a room, digging and props are also up to the zone's builders
+        const builderProp = subCommand.toLowerCase() === "prop" && zoneManager.canBuild(user, currentRoom.zoneId);
+        if (subCommand && subCommand.toLowerCase() !== "dig" && !builderProp && currentRoom.owner !== user.id && !zoneManager.isOwner(user, currentRoom.zoneId)) {
+            userManager.send(user.id, "You do not own this room, so you can not change it.");
+            return;
+        }
+
+        switch (subCommand.toLowerCase()) {
+            case "dig": {
+                if (!checkDirection()) {
+                    return;
+                }
+
+                if (!zoneManager.canBuild(user, currentRoom.zoneId)) {
+                    userManager.send(user.id, `You are not one of the builders of ${zoneManager.getZoneName(currentRoom.zoneId)}, ask its owner to add you with [c:zone set builder add <player>].`);
+                    return;
+                }
+
+                if (currentRoom.exits[direction]) {
+                    userManager.send(user.id, `There is already an exit ${direction}, use [c:room unlink ${direction}] first.`);
+                    return;
+                }
+
+                const name = target || "An Empty Room";
+                if (name.length > MAX_NAME_LENGTH) {
+                    userManager.send(user.id, `A room name can be at most ${MAX_NAME_LENGTH} characters long.`);
+                    return;
+                }
+
+                const roomId = roomManager.getNextRoomId(currentRoom.zoneId);
+                if (roomId === null) {
+                    userManager.send(user.id, "There is no room left in this zone.");
+                    return;
+                }
+
+                const newRoom = roomManager.createRoom({
+                    zoneId: currentRoom.zoneId,
+                    roomId,
+                    name,
+                    description: "Bare walls surround you, this room is still waiting for its description.",
+                    lockable: true,
+                    temporary: false,
+                    creator: user.id,
+                    owner: user.id,
+                    exits: {[roomManager.getOppositeDirection(direction)]: currentKey},
+                });
+
+                if (!newRoom) {
+                    userManager.send(user.id, "The new room could not be saved.");
+                    return;
+                }
+
+                const newKey = roomManager.getRoomKey(newRoom.zoneId, newRoom.roomId);
+                currentRoom.exits[direction] = newKey;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `You dig a new room ${direction}: ${name} (${newKey}).`);
+                userManager.sendFrom(user, roomPeople.map((person) => person.id), `[p:${user.morphedName || user.firstName + " " + user.lastName}] opens up a new way ${direction}.`);
+
+                logInfo('build', {type: 'dig', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, from: currentKey, room: newKey});
+                break;
+            }
+            case "link": {
+                if (!checkDirection()) {
+                    return;
+                }
+
+                if (!/^\d+:\d+$/.test(target)) {
+                    userManager.send(user.id, "Usage: [c:room link <direction> <zone:room>]");
+                    return;
+                }
+
+                const [zoneId, roomId] = target.split(":").map((id) => roomManager.pad(id));
+                const targetRoom = roomManager.loadRoom(zoneId, roomId);
+                if (!targetRoom) {
+                    userManager.send(user.id, `Room ${zoneId}:${roomId} does not exist.`);
+                    return;
+                }
+
+                if (currentRoom.exits[direction]) {
+                    userManager.send(user.id, `There is already an exit ${direction}, use [c:room unlink ${direction}] first.`);
+                    return;
+                }
+
+                const targetKey = roomManager.getRoomKey(zoneId, roomId);
+                currentRoom.exits[direction] = targetKey;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `The exit ${direction} now leads to ${targetRoom.name} (${targetKey}).`);
+
+                logInfo('build', {type: 'link', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, from: currentKey, direction, room: targetKey});
+                break;
+            }
+            case "unlink": {
+                if (!checkDirection()) {
+                    return;
+                }
+
+                const exit = roomManager.getExit(currentRoom, direction);
+                if (!exit) {
+                    userManager.send(user.id, `There is no exit ${direction}.`);
+                    return;
+                }
+
+                if (target && (!/^\d+:\d+$/.test(target) || roomManager.getRoomKey(...target.split(":")) !== exit.to)) {
+                    userManager.send(user.id, `The exit ${direction} leads to ${exit.to}, not ${target}.`);
+                    return;
+                }
+
+                currentRoom.exits = _.omit(currentRoom.exits, direction);
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `The exit ${direction} to ${exit.to} has been removed.`);
+
+                logInfo('build', {type: 'unlink', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, from: currentKey, direction, room: exit.to});
+                break;
+            }
+            case "name": {
+                const name = text;
+                if (!name) {
+                    userManager.send(user.id, "Usage: [c:room name <name>]");
+                    return;
+                }
+
+                if (name.length > MAX_NAME_LENGTH) {
+                    userManager.send(user.id, `A room name can be at most ${MAX_NAME_LENGTH} characters long.`);
+                    return;
+                }
+
+                currentRoom.name = name;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `This room is now called ${name}.`);
+                break;
+            }
+            case "desc":
+            case "description": {
+                const description = text;
+                if (!description) {
+                    userManager.send(user.id, "Usage: [c:room desc <description>]");
+                    return;
+                }
+
+                if (description.length > MAX_DESCRIPTION_LENGTH) {
+                    userManager.send(user.id, `A room description can be at most ${MAX_DESCRIPTION_LENGTH} characters long.`);
+                    return;
+                }
+
+                currentRoom.description = description;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, "The room description has been changed.");
+                break;
+            }
+            case "lock":
+            case "unlock": {
+                const locking = subCommand.toLowerCase() === "lock";
+
+                if (!currentRoom.lockable) {
+                    userManager.send(user.id, "This room can not be locked.");
+                    return;
+                }
+
+                if (currentRoom.locked === locking) {
+                    userManager.send(user.id, `This room is already ${locking ? "locked" : "unlocked"}.`);
+                    return;
+                }
+
+                currentRoom.locked = locking;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, locking ? "You lock the room, only its owner, the players allowed in and staff can come in now." : "You unlock the room, everyone can come in again.");
+                userManager.sendFrom(user, roomPeople.map((person) => person.id), `[p:${user.morphedName || userName(user)}] ${locking ? "locks" : "unlocks"} the room.`);
+                break;
+            }
+            case "allow": {
+                if (!text) {
+                    userManager.send(user.id, "Usage: [c:room allow <player>]");
+                    return;
+                }
+
+                const target = findPlayer(text);
+                if (!target) {
+                    return;
+                }
+
+                if (target.id === currentRoom.owner || _.some(currentRoom.whitelist, {id: target.id})) {
+                    userManager.send(user.id, `[p:${userName(target)}] can already come in.`);
+                    return;
+                }
+
+                currentRoom.whitelist = [...currentRoom.whitelist, {id: target.id, firstName: target.firstName, lastName: target.lastName}];
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `[p:${userName(target)}] can now come in while the room is locked.`);
+                if (userManager.getUser({id: target.id}) && target.id !== user.id) {
+                    userManager.send(target.id, `[p:${userName(user)}] allows you into ${currentRoom.name} (${currentKey}), even while it is locked.`);
+                }
+                break;
+            }
+            case "deny": {
+                if (!text) {
+                    userManager.send(user.id, "Usage: [c:room deny <player>]");
+                    return;
+                }
+
+                const matches = userManager.findUsersByName(text, currentRoom.whitelist);
+                if (matches.length !== 1) {
+                    userManager.send(user.id, matches.length ? `Multiple allowed players match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}.` : `[p:${text}] is not on the list of allowed players.`);
+                    return;
+                }
+
+                currentRoom.whitelist = currentRoom.whitelist.filter((person) => person.id !== matches[0].id);
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `[p:${userName(matches[0])}] can no longer come in while the room is locked.`);
+                break;
+            }
+            case "owner": {
+                if (!text) {
+                    userManager.send(user.id, "Usage: [c:room owner <player>]");
+                    return;
+                }
+
+                const target = findPlayer(text);
+                if (!target) {
+                    return;
+                }
+
+                if (target.temporary) {
+                    userManager.send(user.id, `[p:${userName(target)}] is a visitor, only registered players can own a room.`);
+                    return;
+                }
+
+                if (target.id === currentRoom.owner) {
+                    userManager.send(user.id, `[p:${userName(target)}] already owns this room.`);
+                    return;
+                }
+
+                currentRoom.owner = target.id;
+                roomManager.saveRoom(currentRoom);
+
+                userManager.send(user.id, `[p:${userName(target)}] now owns ${currentRoom.name}.`);
+                if (userManager.getUser({id: target.id}) && target.id !== user.id) {
+                    userManager.send(target.id, `[p:${userName(user)}] has given you ${currentRoom.name} (${currentKey}).`);
+                }
+
+                logInfo('build', {type: 'owner', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, room: currentKey, ownerFirstName: target.firstName, ownerLastName: target.lastName});
+                break;
+            }
+            case "door": {
+                if (!checkDirection()) {
+                    return;
+                }
+
+                const exit = roomManager.getExit(currentRoom, direction);
+                if (!exit) {
+                    userManager.send(user.id, `There is no exit ${direction}.`);
+                    return;
+                }
+
+                const [field = "", ...words] = target.split(" ");
+                const value = _.trim(words.join(" "));
+
+                if (!field) {
+                    if (!exit.name) {
+                        userManager.send(user.id, `There is no door ${direction}. Use [c:room door ${direction} name <name>] to put one there.`);
+                        return;
+                    }
+
+                    const state = exit.locked ? "closed and locked" : exit.closed ? "closed" : "open";
+                    const key = exit.key && itemManager.getItem(exit.key);
+                    userManager.send(user.id, `The ${exit.name} ${direction} to ${exit.to} is ${state}.\r\n<ht>Key: ${key ? `[i:${key.name}]` : "none"}\r\n<ht>Hidden: ${exit.hidden ? "yes" : "no"}\r\n<ht>One way: ${exit.oneWay ? "yes" : "no"}`);
+                    return;
+                }
+
+                // Hidden exits do not need a door, everything else does
+                if (!["name", "hidden"].includes(field.toLowerCase()) && !exit.name) {
+                    userManager.send(user.id, `There is no door ${direction}. Use [c:room door ${direction} name <name>] to put one there.`);
+                    return;
+                }
+
+                switch (field.toLowerCase()) {
+                    case "name": {
+                        if (!/^[a-zA-Z0-9][a-zA-Z0-9 '-]*$/.test(value) || value.length > MAX_PROP_NAME_LENGTH) {
+                            userManager.send(user.id, `Usage: [c:room door ${direction} name <name>], door names can be at most ${MAX_PROP_NAME_LENGTH} characters long and can only contain letters, digits, spaces, hyphens and apostrophes.`);
+                            return;
+                        }
+
+                        roomManager.updateExit(currentRoom, direction, {name: value.toLowerCase()});
+                        userManager.send(user.id, `The exit ${direction} now has a door called ${value.toLowerCase()}.`);
+                        break;
+                    }
+                    case "key": {
+                        if (!value) {
+                            userManager.send(user.id, `Usage: [c:room door ${direction} key <item|none>]`);
+                            return;
+                        }
+
+                        if (value.toLowerCase() === "none") {
+                            roomManager.updateExit(currentRoom, direction, {key: "", locked: false});
+                            userManager.send(user.id, `The ${exit.name} no longer has a key, and can not be locked.`);
+                            break;
+                        }
+
+                        const matches = itemManager.findItems({owner: user.id, type: "key", name: value});
+                        const exactMatches = matches.filter((item) => item.name.toLowerCase() === value.toLowerCase());
+                        const keys = exactMatches.length ? exactMatches : matches;
+                        if (keys.length !== 1) {
+                            userManager.send(user.id, keys.length ? `More than one key called "${value}" found in your inventory.` : `You have no key called "${value}", only items of the key type can be used.`);
+                            return;
+                        }
+
+                        roomManager.updateExit(currentRoom, direction, {key: keys[0].id});
+                        userManager.send(user.id, `[i:${keys[0].name}] now locks and unlocks the ${exit.name}.`);
+                        break;
+                    }
+                    case "hidden":
+                    case "oneway": {
+                        const setting = field.toLowerCase() === "hidden" ? "hidden" : "oneWay";
+
+                        if (!["on", "off"].includes(value.toLowerCase())) {
+                            userManager.send(user.id, `Usage: [c:room door ${direction} ${field.toLowerCase()} on|off]`);
+                            return;
+                        }
+
+                        roomManager.updateExit(currentRoom, direction, {[setting]: value.toLowerCase() === "on"});
+                        userManager.send(user.id, setting === "hidden"
+                            ? `The exit ${direction} is ${value.toLowerCase() === "on" ? "now left out of" : "now shown in"} the exit list.`
+                            : `The ${exit.name} ${value.toLowerCase() === "on" ? "no longer keeps" : "keeps"} the door on the other side in sync.`);
+                        break;
+                    }
+                    case "remove": {
+                        roomManager.updateExit(currentRoom, direction, {name: "", closed: false, locked: false, key: "", hidden: false, oneWay: false});
+                        userManager.send(user.id, `The ${exit.name} ${direction} has been removed.`);
+                        break;
+                    }
+                    default:
+                        userManager.send(user.id, `Usage: [c:room door <direction> name|key|hidden|oneway|remove <value>]`);
+                        return;
+                }
+
+                logInfo('build', {type: 'door', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, room: currentKey, direction, field: field.toLowerCase(), value});
+                break;
+            }
+            case "prop":
+            case "props":
+                editProps(text);
+                break;
+            default:
+                userManager.send(user.id, `Usage: ${this.help}`);
+                break;
+        }
+    },
+};
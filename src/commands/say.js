@@ -27,6 +27,7 @@
  * - `user`: The user object identifying who is interacting.
  * - `userManager`: Manager to handle user related requirements.
  * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to check whether the zone is OOC only.
  * - `data`: The additional data provided with the command.
  */
 
@@ -37,11 +38,13 @@ module.exports = {
     description: "This command lets you broadcast a message in various scopes.",
     help: "Use [c:say <message>], [c:yell <message>], or [c:shout <message>] to broadcast a message. Each command broadcasts to a different range: 'say' for the same room, 'yell' for local rooms, and 'shout' for global.",
     aliases: ["'", "yell", '"', "shout", "!"],
+    capability: {default: "talk.room", yell: "talk.local", '"': "talk.local", shout: "talk.global", "!": "talk.global"},
     execute(params) {
         let command = params.command;
         let user = params.user;
         let userManager = params.userManager;
         let roomManager = params.roomManager;
+        let zoneManager = params.zoneManager;
         let data = params.data;
         let {logInfo, logWarn, logError} = params.log;
 
@@ -51,6 +54,12 @@ module.exports = {
             return;
         }
 
+        // In character talk is not used in OOC only zones
+        if (zoneManager.hasFlag(user.zoneId, "oocOnly")) {
+            userManager.send(user.id, `${zoneManager.getZoneName(user.zoneId)} is OOC only, use [c:ooc <message>] instead.`);
+            return;
+        }
+
         // Broadcast the 'action' to all users in the room
         const sendInRoom = (user, data) => {
             userManager.send(user.id, `You say: ${data}<reset>`);
@@ -58,7 +67,8 @@ module.exports = {
             let usersInRoom = userManager.getRoomUsers(user.zoneId, user.roomId).filter((roomUser) => roomUser.id !== user.id) || [];
 
             // The message that other users in the room will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 usersInRoom.map((person) => person.id),
                 `[p:${user.morphedName || user.firstName + " " + user.lastName}] says, "${data}<reset>"`
             );
@@ -70,7 +80,8 @@ module.exports = {
             // Get all users in the same room
             let usersInRoom = userManager.getRoomUsers(user.zoneId, user.roomId).filter((roomUser) => roomUser.id !== user.id) || [];
             // The message that other users in the room will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 usersInRoom.map((person) => person.id),
                 `[p:${user.morphedName || user.firstName + " " + user.lastName}] yells, "${data}<reset>"`
             );
@@ -79,17 +90,18 @@ module.exports = {
             let currentRoom = roomManager.loadRoom(user.zoneId, user.roomId);
 
             // Get the current room exits
-            let exits = currentRoom.exits;
+            let exits = roomManager.getExits(currentRoom);
 
             // Iterate through the exits
-            _.forEach(exits, function (value) {
-                [nextZoneId, nextRoomId] = value.split(":");
+            _.forEach(exits, function (exit) {
+                [nextZoneId, nextRoomId] = exit.to.split(":");
 
                 // Get the users in the room that exit leads to
                 let usersInExit = userManager.getRoomUsers(nextZoneId, nextRoomId) || [];
 
                 // Send message to users in adjacent rooms
-                userManager.send(
+                userManager.sendFrom(
+                    user,
                     usersInExit.map((person) => person.id),
                     `(from nearby) [p:${user.morphedName || user.firstName + " " + user.lastName}] yells, "${data}<reset>"`
                 );
@@ -103,7 +115,8 @@ module.exports = {
             // Get all users in the same room
             let allUsers = userManager.getActiveUsers().filter((activeUser) => activeUser.id !== user.id) || [];
             // The message that other users on the server will see
-            userManager.send(
+            userManager.sendFrom(
+                user,
                 allUsers.map((person) => person.id),
                 `[p:${user.morphedName || user.firstName + " " + user.lastName}] shouts, "${message}"`
             );
@@ -112,20 +125,12 @@ module.exports = {
         switch (command) {
             case "yell":
             case '"':
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not yell, please use [c:user create] to create an account.`);
-                    return;
-                }
                 sendLocally(user, data);
 
                 logInfo('communication', {type:'yell', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, message: data});
                 break;
             case "shout":
             case "!":
-                if (user.role === "visitor") {
-                    userManager.send(user.id, `Visitors can not shout, please use [c:user create] to create an account.`);
-                    return;
-                }
                 sendGlobally(user, data);
 
                 logInfo('communication', {type:'shout', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, message: data});
@@ -0,0 +1,117 @@
+/**
+ * Command name: tell
+ * Description: This command lets you send a private message to another player.
+ *
+ * Usage:
+ * "tell <player> <message>": Sends a private message to a player anywhere on the server.
+ * "reply <message>": Replies to the last player who told you something.
+ * "whisper <player> <message>": Whispers to a player in the same room, others only see that you whispered.
+ *
+ * Players are matched by first, last or morphed name, the same way "look" finds them.
+ *
+ * E.g:
+ * "tell ann Are you coming?" - Sends "Are you coming?" to Ann.
+ * "reply On my way!" - Replies to the last player who told you something.
+ * "whisper ann smith Over here." - Whispers "Over here." to Ann Smith.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `data`: The additional data provided with the command.
+ */
+
+module.exports = {
+    name: "tell",
+    description: "This command lets you send a private message to another player.",
+    help: "Use [c:tell <player> <message>] to send a private message to a player anywhere, [c:reply <message>] to answer the last player who told you something, or [c:whisper <player> <message>] to whisper to a player in the same room. Others in the room see that you whisper, but not what.",
+    aliases: ["reply", "whisper"],
+    capability: {default: "talk.private", whisper: "talk.room"},
+    execute(params) {
+        let command = params.command;
+        let user = params.user;
+        let userManager = params.userManager;
+        let data = params.data;
+        let {logInfo, logWarn, logError} = params.log;
+
+        const userName = (person) => person.morphedName || person.firstName + " " + person.lastName;
+
+        // Find the target at the start of the data, telling the user when that fails
+        const findTarget = (users) => {
+            const {user: target, rest, matches} = userManager.findUserByNamePrefix(data, users.filter((person) => person.id !== user.id));
+
+            if (!target) {
+                if (matches.length > 1) {
+                    userManager.send(user.id, `Multiple people match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}. Use the full name if needed.`);
+                } else {
+                    userManager.send(user.id, `There is nobody called [p:${data.split(" ")[0]}] ${command === "whisper" ? "here" : "online"}.`);
+                }
+                return {};
+            }
+
+            if (!rest) {
+                userManager.send(user.id, `What do you want to ${command} [p:${userName(target)}]?`);
+                return {};
+            }
+
+            return {target, message: rest};
+        };
+
+        // Send a private message and remember the sender, so the target can reply. When the
+        // target ignores the user the message is dropped, without telling them they are ignored.
+        const sendTell = (target, message) => {
+            userManager.send(user.id, `You tell [p:${userName(target)}]: ${message}<reset>`);
+            if (!userManager.sendFrom(user, target.id, `[p:${userName(user)}] tells you: ${message}<reset>`).length) {
+                return;
+            }
+            target.replyTo = user.id;
+
+            logInfo('communication', {type: 'tell', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, targetFirstName: target.firstName, targetLastName: target.lastName, message});
+        };
+
+        if (!data) {
+            userManager.send(user.id, command === "reply" ? "You need to provide something to reply!" : `Usage: [c:${command} <player> <message>]`);
+            return;
+        }
+
+        switch (command) {
+            case "reply": {
+                const target = user.replyTo ? userManager.getUser({id: user.replyTo, status: "active"}) : null;
+
+                if (!target) {
+                    userManager.send(user.id, user.replyTo ? "The last person who told you something is no longer online." : "Nobody has told you anything yet.");
+                    return;
+                }
+
+                sendTell(target, data);
+                break;
+            }
+            case "whisper": {
+                const {target, message} = findTarget(userManager.getActiveUsers().filter((person) => person.zoneId === user.zoneId && person.roomId === user.roomId));
+                if (!target) {
+                    return;
+                }
+
+                userManager.send(user.id, `You whisper to [p:${userName(target)}]: ${message}<reset>`);
+                userManager.sendFrom(user, target.id, `[p:${userName(user)}] whispers to you: ${message}<reset>`);
+
+                // Bystanders only see that a whisper happened
+                const bystanders = userManager.getRoomUsers(user.zoneId, user.roomId).filter((person) => person.id !== user.id && person.id !== target.id);
+                userManager.sendFrom(user, bystanders.map((person) => person.id), `[p:${userName(user)}] whispers something to [p:${userName(target)}].`);
+
+                logInfo('communication', {type: 'whisper', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zoneId: user.zoneId, roomId: user.roomId, targetFirstName: target.firstName, targetLastName: target.lastName, message});
+                break;
+            }
+            default: {
+                const {target, message} = findTarget(userManager.getActiveUsers());
+                if (!target) {
+                    return;
+                }
+
+                sendTell(target, message);
+                break;
+            }
+        }
+    },
+};
@@ -3,8 +3,8 @@
  * Description: This command allows you to create and login to user accounts.
  *
  * Usage:
- * "user create firstName lastName password": Create a user account with the set values.
- * "user login firstName lastName password": Login to a user account with the matching values.
+ * "user create [firstName lastName]": Create a user account, prompting for the missing names and the password.
+ * "user login [firstName lastName]": Login to a user account, prompting for the missing names and the password.
  *
  * @param {object} params - An object containing different parameters to control the execution of this command.
  * The structure of the 'params' object is:
@@ -20,8 +20,9 @@ const _ = require("lodash");
 module.exports = {
     name: "user",
     description: "This command allows you to create, login or modify player accounts.",
-    help: "Use [c:user create firstName lastName password] to create an account, [c:user login firstName lastName password] to login to an account, [c:user get <key>] to see player values or [c:user set <key> <value>] to set player values.",
+    help: "Use [c:user create] to create an account, [c:user login] to login to an account (you will be asked for your name and password), [c:user get <key>] to see player values or [c:user set <key> <value>] to set player values. Use [c:config] for display settings.",
     aliases: [],
+    capability: "general",
     execute(params) {
         let command = params.command;
         let user = params.user;
@@ -39,99 +40,24 @@ module.exports = {
         if (!["create", "login", "set", "get"].includes(args[0])) {
             userManager.send(user.id, `Usage: ${this.help}`);
             return;
-        } else if (["create", "login"].includes(args[0]) && args.length !== 4) {
+        } else if (["create", "login"].includes(args[0]) && args.length === 4) {
+            userManager.send(user.id, `Passwords are no longer accepted on the command line, use [c:user ${args[0]}] and enter it when prompted.`);
+            return;
+        } else if (["create", "login"].includes(args[0]) && ![1, 3].includes(args.length)) {
             userManager.send(user.id, `Usage: ${this.help}`);
             return;
         }
 
         switch (args[0]) {
-            case "create": {
-                if (!user.temporary) {
-                    userManager.send(user.id, "You are already logged in to an account, please reconnect to use a different account.");
-                    return;
-                }
-
-                // Get the input parameters for the create command
-                const firstName = args[1];
-                const lastName = args[2];
-                const password = args[3];
-                const origFirstName = user.firstName;
-                const origLastName = user.lastName;
-
-                try {
-                    // Validate firstName and lastName against non-alphabetic characters
-                    if (!/^[a-zA-Z-' ]+$/u.test(firstName) || !/^[a-zA-Z-' ]+$/u.test(lastName)) {
-                        userManager.send(user.id, "Names can only contain alphabetic characters, spaces, hyphens, and apostrophes.");
-                        return;
-                    }
-
-                    // Hash the password, get back the hashed password as password, and salt.
-                    let hashedData = userManager.hashPassword(password);
-
-                    const role = "player";
-                    const title = "Fresh Soul";
-                    const description = "In the shifting light, you catch sight of a form that seems to waver between worlds, its presence a delicate balance between the tangible and the ephemeral. This is no mere apparition, but a soul newly awakened to the sensations of the mortal realm. Their features, once indistinct and ghostly, now hold a clarity and definition that speaks to their newfound embodiment. Eyes, once distant and unfocused, now brim with a quiet intensity, their gaze sweeping the world with a hunger for experience. Each movement is infused with a sense of purpose, as if the very act of walking upon solid ground is a testament to their triumph over the ethereal veil. Though their journey may be just beginning, there is a strength and resilience in their bearing that hints at the depth of their spirit and the potential that lies within.";
-                    const clothing = "Garments that cling to the body with reassuring solidity, grounding the character in the realm of the living.";
-                    const holding = "An empty hand, now capable of grasping and manipulating objects in the physical world.";
-                    const wielding = " A small, smooth stone that fits comfortably in the hand, perfect for absentmindedly tossing or skipping across a calm pond.";
-                    const temporary = false;
-
-                    // Clone the user and update its relevant properties
-                    let tempUser = {
-                        ...user,
-                        ...hashedData,
-                        firstName,
-                        lastName,
-                        temporary,
-                        role,
-                        title,
-                        description,
-                        clothing,
-                        holding,
-                        wielding,
-                    };
-
-                    let persistedUser = userManager.create(tempUser);
-                    if (!persistedUser) {
-                        userManager.send(user.id, "Someone please tell admin my user creation is broken.");
-                        return;
-                    }
-
-                    // Instead of reassigning user, update its properties in-place
-                    Object.assign(user, persistedUser);
-
-                    userManager.send(user.id, `Account created, you are now [p:${user.firstName} ${user.lastName}].Please use [c:user get] and [c:user set] to update your profile description and title as needed.`);
-
-                    userManager.broadcast(`[p:${origFirstName} ${origLastName}] is now known as [p:${user.firstName} ${user.lastName}]]`);
-                } catch (error) {
-                    userManager.send(user.id, error.message);
-                    return;
-                }
-                break;
-            }
+            case "create":
             case "login": {
                 if (!user.temporary) {
                     userManager.send(user.id, "You are already logged in to an account, please reconnect to use a different account.");
                     return;
                 }
 
-                const firstName = args[1];
-                const lastName = args[2];
-                const password = args[3];
-                const origFirstName = user.firstName;
-                const origLastName = user.lastName;
-
-                try {
-                    const persistedUser = userManager.verifyAndLoadUser(firstName, lastName, password);
-                    // If all checks pass, update in-memory user
-                    Object.assign(user, persistedUser);
-                    user.eventEmitter.emit("user_move");
-                    userManager.send(user.id, `Logged in successfully, you are now [p:${user.firstName} ${user.lastName}].`);
-                    userManager.broadcast(`[p:${origFirstName} ${origLastName}] is now known as [p:${user.firstName} ${user.lastName}]`);
-                } catch (error) {
-                    userManager.send(user.id, error.message);
-                    return;
-                }
+                // Names are optional, the password is always prompted for with echo turned off
+                user.eventEmitter.emit("account_flow", {mode: args[0], firstName: args[1], lastName: args[2]});
                 break;
             }
 
@@ -147,12 +73,13 @@ module.exports = {
                     return;
                 }
 
-                if (_.has(user, args[1])) {
+                // Only the profile fields, the rest of the record is not for players to see
+                if (fields.includes(args[1])) {
                     let value = _.get(user, args[1]);
                     userManager.send(user.id, `${args[1]}: ${value}`, false);
                     userManager.send(user.id, ``);
                 } else {
-                    userManager.send(user.id, `The key ${args[1]} does not exist.`);
+                    userManager.send(user.id, `The key ${args[1]} does not exist. keys are: ${fields.join(", ")}`);
                 }
                 break;
             }
@@ -168,7 +95,8 @@ module.exports = {
                     return;
                 }
 
-                if (_.has(user, args[1])) {
+                // Only the profile fields, anything else (role, password, ...) is never set from here
+                if (fields.includes(args[1])) {
                     if (!args.slice(2).join(" ")) {
                         userManager.send(user.id, `A value is required for every key, no empty spots.`);
                         return;
@@ -179,7 +107,7 @@ module.exports = {
                     userManager.send(user.id, `${args[1]} set to: ${args.slice(2).join(" ")}`, false);
                     userManager.send(user.id, ``);
                 } else {
-                    userManager.send(user.id, `The key ${args[1]} does not exist.`);
+                    userManager.send(user.id, `The key ${args[1]} does not exist. keys are: ${fields.join(", ")}`);
                 }
                 break;
             }
@@ -24,6 +24,8 @@
  * - `user`: The user object identifying who is interacting.
  * - `userManager`: Manager to handle user related requirements.
  * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to handle zone related queries.
+ * - `permissionManager`: Manager to check what the user may see.
  * - `data`: The additional data provided with the command.
  */
 
@@ -34,11 +36,14 @@ module.exports = {
     description: "This command allows you to move in a specific direction or perform various movements.",
     help: "Movements can be actions like 'walk', 'swim', 'fly', 'run', etc. Directions can be full words like 'north', 'south', etc., or their abbreviations like 'n' for north, 's' for south, etc. You can also use directional commands independently to move in that direction. For example, [c:north] or [c:n] will move you north. Use [c:<movement type> <direction>] or [c:<direction>] to move. Example: [c:walk north], [c:fly up] or simply [c:north]. You can also use abbreviations for directions.",
     aliases: ["go", "n", "north", "s", "south", "e", "east", "w", "west", "u", "up", "d", "down", "ne", "northeast", "nw", "northwest", "se", "southeast", "sw", "southwest", "abate", "amble", "bang", "bolt", "bounce", "bound", "burst", "bust", "cant", "canter", "caper", "careen", "cavort", "circle", "clamber", "claw", "cleave", "climb", "coil", "collapse", "crawl", "creep", "crouch", "crush", "curve", "dance", "dart", "dash", "descend", "dip", "dive", "double", "edge", "erupt", "escape", "fade", "fall", "fight", "flit", "float", "flop", "flounce", "flow", "flutter", "fly", "frisk", "frolic", "gallop", "galumph", "glide", "hike", "hobble", "hop", "hopscotch", "hover", "hunch", "hurry", "hurtle", "jog", "jump", "kneel", "kowtow", "lean", "leap", "lie", "limp", "list", "loll", "lope", "lounge", "lower", "lunge", "lurch", "march", "meander", "parade", "pirouette", "pivot", "plod", "plummet", "plunge", "pop", "pounce", "prance", "promenade", "prowl", "pull", "race", "ramble", "retreat", "revolve", "rip", "rocket", "roll", "run", "rush", "sag", "sail", "saunter", "scamper", "scatter", "scoot", "scurry", "scuttle", "shamble", "shiver", "shoot", "shuffle", "sidestep", "sink", "skid", "skip", "skitter", "slide", "slink", "slither", "slog", "slouch", "slump", "smash", "snap", "sneak", "snuggle", "soar", "spin", "spiral", "sprawl", "spring", "sprint", "squat", "squirm", "stagger", "stalk", "stamp", "stoop", "stomp", "straggle", "stride", "stroll", "strut", "stumble", "swagger", "sway", "swerve", "swim", "swing", "swoop", "tear", "tilt", "tip", "tiptoe", "toddle", "traipse", "tramp", "tread", "trip", "trot", "trudge", "twirl", "twist", "vault", "waddle", "wade", "waft", "wander", "wane", "weave", "wheel", "whip", "whirl", "whisk", "whiz", "wiggle", "wobble", "wriggle", "writhe", "zag", "zigzag"],
+    capability: "explore",
     execute(params) {
         let command = params.command;
         let user = params.user;
         let userManager = params.userManager;
         let roomManager = params.roomManager;
+        let zoneManager = params.zoneManager;
+        let permissionManager = params.permissionManager;
         let data = params.data;
 
         // Fetch current room
@@ -60,30 +65,6 @@ module.exports = {
             sw: "southwest",
         };
 
-        const roomNotReadyMessages = [
-            "This room is currently in the midst of a magical makeover. Beware of flying broomsticks!",
-            "It seems this room is still brewing in the cauldron of creation. Mind the bubbling potions!",
-            "This room is currently off on a quest to find its missing pixels. It's bound to return with a sparkle!",
-            "This room got lost in the enchanted forest of development. Don't worry, fairies are on the rescue mission!",
-            "This room is still under construction, but the gnomes are on strike. They demand more enchanted snacks!",
-            "This room is still being woven into existence by the spiders of fate. They're spinning their finest webs!",
-            "This room has fallen victim to a pesky time loop spell. It'll catch up with reality soon enough!",
-            "This room is currently dancing to the rhythm of the construction wizard's magic wand. It's a sight to behold!",
-            "This room is taking a detour through the realm of dreams. It's dreaming up the perfect ambiance!",
-            "This room is lost in translation between realms. It's trying to find its way back with a treasure map!",
-            "This room is tangled in a web of enchantment. It's waiting for the spiders to finish knitting their magic!",
-            "This room is still rehearsing its grand entrance with the invisible orchestra. Encore, encore!",
-            "This room is playing hide and seek with the construction gnomes. They're masters of camouflage!",
-            "This room is still under construction, but the dwarves are on a coffee break. They take their brew very seriously!",
-            "This room is currently moon-walking through the astral plane. It's trying to find its way back to reality!",
-            "This room is in the midst of a magical metamorphosis. It's evolving into something truly fantastical!",
-            "This room has been caught in a time dilation spell. It's aging like a fine wine, but construction will resume shortly!",
-            "This room is experiencing a temporary glitch in the matrix. The wizards are debugging as we speak!",
-            "This room is still a work in progress, but the dragons are busy guarding the treasure chest. Safety first!",
-            "This room is currently on a quest to find the missing puzzle pieces. It's bound to be a masterpiece once complete!",
-        ];
-
-
         // If command is a direction alias, move that direction
         if (directionMap[command]) {
             data = command;
@@ -106,7 +87,7 @@ module.exports = {
         }
 
         // Get the exit for the specified direction
-        const exit = currentRoom.exits[direction];
+        const exit = roomManager.getExit(currentRoom, direction);
 
         // If exit does not exist, send error message
         if (!exit) {
@@ -114,12 +95,35 @@ module.exports = {
             return;
         }
 
+        // A closed door has to be opened first
+        if (exit.name && exit.closed) {
+            userManager.send(user.id, `The ${exit.name} is closed.`);
+            return;
+        }
+
         // Get the zoneId and roomId for the next room
-        const [nextZoneId, nextRoomId] = exit.split(":");
+        const [nextZoneId, nextRoomId] = exit.to.split(":");
 
-        // Load the next room, if it does not exist send error message
+        // The room an exit points to may have been removed, builders see which one it was
         if (!roomManager.exists(nextZoneId, nextRoomId)) {
-            userManager.send(user.id, `${_.sample(roomNotReadyMessages)}`);
+            const target = permissionManager.hasCapability(user, "world.view_ids") ? ` [${exit.to}]` : "";
+            userManager.send(user.id, `The exit ${direction} leads nowhere, the room it went to no longer exists${target}.`);
+            return;
+        }
+
+        // Some zones keep visitors out
+        const nextRoom = roomManager.loadRoom(nextZoneId, nextRoomId);
+        if (!zoneManager.canEnter(user, nextZoneId)) {
+            userManager.send(user.id, `Only registered players can go into ${zoneManager.getZoneName(nextZoneId)}. Please consider creating an account with [c:user create].`);
+            return;
+        }
+
+        // A locked room only lets in its owner, whitelisted users and staff, the others knock
+        if (!userManager.canEnter(user, nextRoom)) {
+            const nextRoomPeople = userManager.getRoomUsers(nextZoneId, nextRoomId);
+
+            userManager.send(user.id, `${nextRoom.name} is locked, you knock and ask to be let in.`);
+            userManager.sendFrom(user, nextRoomPeople.map((person) => person.id), `[p:${user.morphedName || user.firstName + " " + user.lastName}] knocks on the way in from ${["up", "down"].includes(direction) ? "" : "the "}${getOppositeDirection(direction)}, asking to be let in.`);
             return;
         }
 
@@ -316,7 +320,7 @@ module.exports = {
             const currentRoomPeople = userManager.getRoomUsers(zoneId, roomId).filter((currentRoomUser) => currentRoomUser.id !== user.id) || [];
 
             // Send leaving message to everyone in the current room
-            userManager.send(currentRoomPeople.map((person) => person.id), leavingMessage);
+            userManager.sendFrom(user, currentRoomPeople.map((person) => person.id), leavingMessage);
 
             // Message to display upon entering the target room
             const enteringMessage = `[p:${user.morphedName || user.firstName + " " + user.lastName}] ${verbTense} in from ${["up", "down"].includes(direction) ? "" : "the "}${getOppositeDirection(direction)}.`;
@@ -324,7 +328,7 @@ module.exports = {
             const nextRoomPeople = userManager.getRoomUsers(nextZoneId, nextRoomId).filter((nextRoomUser) => nextRoomUser.id !== user.id) || [];
 
             // Send entering message to everyone in the destination room
-            userManager.send(nextRoomPeople.map((person) => person.id), enteringMessage);
+            userManager.sendFrom(user, nextRoomPeople.map((person) => person.id), enteringMessage);
 
             // Send movement message to player
             userManager.send(user.id, `You ${Object.keys(verbTenseMap).find((key) => verbTenseMap[key] === verbTense)} ${direction}.`);
@@ -26,6 +26,7 @@ module.exports = {
     description: "Display the welcome message for new users.",
     help: "Use [c:welcome] to display the first welcome information page. Specify a page number to view a specific page of the welcome message using [c:welcome <page>].",
     aliases: [],
+    capability: "general",
     execute(params) {
         return new Promise((resolve, reject) => {
             let command = params.command;
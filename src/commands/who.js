@@ -1,12 +1,14 @@
 /**
  * Command name: who
  * Description: This command lists all active users in the server.
- * Use 'who' to see a list of all active users.
+ * Use 'who' to see a list of all active users, or 'who <name>' to check whether a player is online.
  *
  * The structure of the 'params' object is:
  * - `command`: The command used to trigger the method.
  * - `user`: The user object identifying who is interacting.
  * - `userManager`: Manager to handle user related requirements.
+ * - `zoneManager`: Manager to name the zone each user is in.
+ * - `data`: The optional name to look up.
  *
  * The user object contains:
  * - `firstName`: The first name of the user.
@@ -18,10 +20,33 @@
 module.exports = {
     name: "who",
     description: "This command lists all active users in the server.",
-    help: "Use [c:who] to see a list of all active users in the server. Users in menus or another status are not considered active.",
+    help: "Use [c:who] to see a list of all active users in the server. Users in menus or another status are not considered active. Use [c:who <name>] to check whether a player is online, or whether an account with that name exists.",
     aliases: [],
+    capability: "general",
     execute(params) {
         let userManager = params.userManager;
+        let zoneManager = params.zoneManager;
+        let data = params.data;
+
+        // Look up a single player, online or not
+        if (data) {
+            let usersFound = userManager.findUsersByName(data);
+
+            if (usersFound.length) {
+                userManager.send(params.user.id, `Online: ` + usersFound.map(user => `[p:${user.firstName} ${user.lastName}${user.morphedName ? ` (${user.morphedName})` : ''}]`).join(', '));
+                return;
+            }
+
+            let [firstName, ...lastNames] = data.split(' ');
+            let indexedUser = lastNames.length ? userManager.getIndexedUser(firstName, lastNames.join(' ')) : null;
+
+            if (indexedUser) {
+                userManager.send(params.user.id, `[p:${indexedUser.firstName} ${indexedUser.lastName}] is not online.`);
+            } else {
+                userManager.send(params.user.id, `No player named [p:${data}] is online.`);
+            }
+            return;
+        }
 
         // Get all active users
         let allActiveUsers = userManager.getActiveUsers();
@@ -30,7 +55,7 @@ module.exports = {
             let message = `${allActiveUsers.length} Online user(s):\r
 ` + allActiveUsers.map(user => {
                 let morphedSuffix = user.morphedName ? ` (${user.morphedName})` : '';
-                return `[p:${user.firstName} ${user.lastName}${morphedSuffix}]`;
+                return `[p:${user.firstName} ${user.lastName}${morphedSuffix}] in ${zoneManager.getZoneName(user.zoneId)}`;
             }).join(', ');
 
             // Send a message to the user containing the list of online users
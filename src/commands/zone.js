@@ -0,0 +1,305 @@
+/**
+ * Command name: zone
+ * Description: This command shows the zones of the world and lets their owners manage them.
+ *
+ * Usage:
+ * "zone list": Lists the registered zones.
+ * "zone info [zone]": Shows a zone, the one you are in when none is given. "zone" on its own does the same.
+ * "zone create <zone> <name>": Registers a new zone with a first room, staff only.
+ * "zone set <setting> <value>": Changes the zone you are in, for its owner and staff.
+ *
+ * Settings:
+ * "name <name>": The name shown in room headers and who listings.
+ * "desc <description>": What the zone is about.
+ * "owner <player>": Hands the zone over to another registered player.
+ * "default <room>": The room "goto <zone>" arrives in.
+ * "builder add|remove <player>": Who may dig new rooms in the zone.
+ * "novisitors on|off": Keep visitors out of the zone.
+ * "ooconly on|off": Only allow OOC talk in the zone.
+ *
+ * E.g:
+ * "zone create 001 The Old Mill" - Registers zone 001 and creates room 001:000.
+ * "zone set builder add Bob Jones" - Lets Bob Jones dig rooms in the zone you are in.
+ *
+ * @param {object} params - An object containing different parameters to control the execution of this command.
+ * The structure of the 'params' object is:
+ * - `command`: The command or alias used to trigger the method.
+ * - `user`: The user object identifying who is interacting.
+ * - `userManager`: Manager to handle user related requirements.
+ * - `roomManager`: Manager to handle room related queries.
+ * - `zoneManager`: Manager to handle zone related queries.
+ * - `data`: The additional data provided with the command.
+ */
+
+const _ = require("lodash");
+
+// Longest zone name and description owners can set
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+module.exports = {
+    name: "zone",
+    description: "This command shows the zones of the world and lets their owners manage them.",
+    help: "Use [c:zone list] to see the zones and [c:zone info <zone>] to see one, the zone you are in when left out. Zone owners can use [c:zone set name|desc|owner|default|builder|novisitors|ooconly <value>] to change the zone they are in, e.g. [c:zone set builder add <player>]. Staff can use [c:zone create <zone> <name>] to register a new zone.",
+    aliases: [],
+    capability: "general",
+    allowMarkup: true,
+    execute(params) {
+        let user = params.user;
+        let userManager = params.userManager;
+        let roomManager = params.roomManager;
+        let zoneManager = params.zoneManager;
+        let data = _.trim(params.data);
+        let {logInfo, logWarn, logError} = params.log;
+
+        const [subCommand = "", ...words] = data.split(" ");
+        const text = _.trim(words.join(" "));
+        const userName = (person) => person.firstName + " " + person.lastName;
+
+        // Names the owner of a zone, who may be offline
+        const ownerName = (zone) => {
+            const owner = zone.owner && (userManager.getUser({id: zone.owner}) || userManager.load(zone.owner));
+            return owner ? `[p:${userName(owner)}]` : "nobody";
+        };
+
+        const flagList = (zone) => Object.keys(zoneManager.getFlags()).filter((flag) => zone.flags[flag]);
+
+        // Find one online or registered player by name, telling the user when that fails
+        const findPlayer = (name) => {
+            const matches = userManager.findPlayersByName(name);
+
+            if (matches.length !== 1) {
+                userManager.send(user.id, matches.length ? `Multiple people match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}. Use the full name if needed.` : `There is nobody called [p:${name}] online or registered.`);
+                return null;
+            }
+
+            return matches[0];
+        };
+
+        switch (subCommand.toLowerCase() || "info") {
+            case "list": {
+                const zones = zoneManager.getZones();
+
+                if (!zones.length) {
+                    userManager.send(user.id, "No zones have been registered yet.");
+                    return;
+                }
+
+                let output = "Zones:\r\n";
+                zones.forEach((zone) => {
+                    const flags = flagList(zone);
+                    output += `<ht>${zone.id} <cyan>${zone.name}<reset>${flags.length ? ` (${flags.join(", ")})` : ""}\r\n`;
+                });
+                output += "Use [c:zone info <zone>] for more.";
+
+                userManager.send(user.id, output);
+                break;
+            }
+            case "info": {
+                const zoneId = text || user.zoneId;
+                const zone = /^\d+$/.test(zoneId) ? zoneManager.getZone(zoneId) : null;
+
+                if (!zone) {
+                    userManager.send(user.id, `There is no zone ${zoneId}. Use [c:zone list] to see the zones.`);
+                    return;
+                }
+
+                const flags = flagList(zone);
+                let output = `Zone ${zone.id}: <cyan>${zone.name}<reset>\r\n`;
+                output += zone.description ? `${zone.description}\r\n` : "";
+                output += `<ht>Owner: ${ownerName(zone)}\r\n`;
+                output += `<ht>Builders: ${zone.builders.length ? zone.builders.map((person) => `[p:${userName(person)}]`).join(", ") : "none"}\r\n`;
+                output += `<ht>Default room: ${zone.id}:${zone.defaultRoom}\r\n`;
+                output += `<ht>Flags: ${flags.length ? flags.map((flag) => `${flag} (${zoneManager.getFlags()[flag]})`).join(", ") : "none"}`;
+
+                userManager.send(user.id, output);
+                break;
+            }
+            case "create": {
+                if (!userManager.isStaff(user)) {
+                    userManager.send(user.id, "Only staff can register new zones.");
+                    return;
+                }
+
+                const [zoneId = "", ...nameWords] = text.split(" ");
+                const name = _.trim(nameWords.join(" "));
+
+                if (!/^\d{1,3}$/.test(zoneId) || !name) {
+                    userManager.send(user.id, "Usage: [c:zone create <zone> <name>], where the zone is a number from 0 to 999.");
+                    return;
+                }
+
+                if (name.length > MAX_NAME_LENGTH) {
+                    userManager.send(user.id, `A zone name can be at most ${MAX_NAME_LENGTH} characters long.`);
+                    return;
+                }
+
+                if (zoneManager.getZone(zoneId)) {
+                    userManager.send(user.id, `Zone ${zoneManager.getZoneKey(zoneId)} already exists.`);
+                    return;
+                }
+
+                const zone = zoneManager.createZone(zoneId, {name, owner: user.id});
+                if (!zone) {
+                    userManager.send(user.id, "The new zone could not be saved.");
+                    return;
+                }
+
+                // Give the zone a first room to build from, unless it has rooms already
+                if (!roomManager.exists(zone.id, zone.defaultRoom)) {
+                    roomManager.createRoom({
+                        zoneId: parseInt(zone.id),
+                        roomId: parseInt(zone.defaultRoom),
+                        name,
+                        description: "Bare walls surround you, this room is still waiting for its description.",
+                        lockable: true,
+                        temporary: false,
+                        creator: user.id,
+                        owner: user.id,
+                    });
+                }
+
+                userManager.send(user.id, `Zone ${zone.id} created, use [c:goto ${zone.id}:${zone.defaultRoom}] to start building.`);
+
+                logInfo('build', {type: 'zone', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zone: zone.id, name});
+                break;
+            }
+            case "set": {
+                const zone = zoneManager.getZone(user.zoneId);
+
+                if (!zone) {
+                    userManager.send(user.id, `${zoneManager.getZoneName(user.zoneId)} is not registered, ask staff to use [c:zone create].`);
+                    return;
+                }
+
+                if (!zoneManager.isOwner(user, zone.id)) {
+                    userManager.send(user.id, `You do not own ${zone.name}, so you can not change it.`);
+                    return;
+                }
+
+                const [setting = "", ...valueWords] = text.split(" ");
+                const value = _.trim(valueWords.join(" "));
+                const flag = _.findKey(zoneManager.getFlags(), (description, flagName) => flagName.toLowerCase() === setting.toLowerCase());
+
+                if (flag) {
+                    const enabled = {on: true, yes: true, off: false, no: false}[value.toLowerCase()];
+                    if (enabled === undefined) {
+                        userManager.send(user.id, `Usage: [c:zone set ${setting.toLowerCase()} on|off]`);
+                        return;
+                    }
+
+                    zoneManager.updateZone(zone.id, {flags: {...zone.flags, [flag]: enabled}});
+                    userManager.send(user.id, `${flag} is now ${enabled ? "on" : "off"} in ${zone.name}.`);
+                    return;
+                }
+
+                switch (setting.toLowerCase()) {
+                    case "name": {
+                        if (!value || value.length > MAX_NAME_LENGTH) {
+                            userManager.send(user.id, value ? `A zone name can be at most ${MAX_NAME_LENGTH} characters long.` : "Usage: [c:zone set name <name>]");
+                            return;
+                        }
+
+                        zoneManager.updateZone(zone.id, {name: value});
+                        userManager.send(user.id, `Zone ${zone.id} is now called ${value}.`);
+                        break;
+                    }
+                    case "desc":
+                    case "description": {
+                        if (!value || value.length > MAX_DESCRIPTION_LENGTH) {
+                            userManager.send(user.id, value ? `A zone description can be at most ${MAX_DESCRIPTION_LENGTH} characters long.` : "Usage: [c:zone set desc <description>]");
+                            return;
+                        }
+
+                        zoneManager.updateZone(zone.id, {description: value});
+                        userManager.send(user.id, `The description of ${zone.name} has been changed.`);
+                        break;
+                    }
+                    case "owner": {
+                        if (!value) {
+                            userManager.send(user.id, "Usage: [c:zone set owner <player>]");
+                            return;
+                        }
+
+                        const target = findPlayer(value);
+                        if (!target) {
+                            return;
+                        }
+
+                        if (target.temporary) {
+                            userManager.send(user.id, `[p:${userName(target)}] is a visitor, only registered players can own a zone.`);
+                            return;
+                        }
+
+                        zoneManager.updateZone(zone.id, {owner: target.id});
+                        userManager.send(user.id, `[p:${userName(target)}] now owns ${zone.name}.`);
+
+                        logInfo('build', {type: 'zoneOwner', ipAddress: user.client.remoteAddress, firstName: user.firstName, lastName: user.lastName, zone: zone.id, ownerFirstName: target.firstName, ownerLastName: target.lastName});
+                        break;
+                    }
+                    case "default": {
+                        if (!/^\d{1,3}$/.test(value) || !roomManager.exists(zone.id, value)) {
+                            userManager.send(user.id, value ? `Room ${zone.id}:${roomManager.pad(value)} does not exist.` : "Usage: [c:zone set default <room>]");
+                            return;
+                        }
+
+                        zoneManager.updateZone(zone.id, {defaultRoom: roomManager.pad(value)});
+                        userManager.send(user.id, `Arrivals in ${zone.name} now land in ${zone.id}:${roomManager.pad(value)}.`);
+                        break;
+                    }
+                    case "builder":
+                    case "builders": {
+                        const [action = "", ...nameWords] = value.split(" ");
+                        const name = _.trim(nameWords.join(" "));
+
+                        if (!["add", "remove"].includes(action.toLowerCase()) || !name) {
+                            userManager.send(user.id, "Usage: [c:zone set builder add|remove <player>]");
+                            return;
+                        }
+
+                        if (action.toLowerCase() === "remove") {
+                            const matches = userManager.findUsersByName(name, zone.builders);
+                            if (matches.length !== 1) {
+                                userManager.send(user.id, matches.length ? `Multiple builders match that name: ${matches.map((person) => `[p:${userName(person)}]`).join(", ")}.` : `[p:${name}] is not a builder of ${zone.name}.`);
+                                return;
+                            }
+
+                            zoneManager.updateZone(zone.id, {builders: zone.builders.filter((person) => person.id !== matches[0].id)});
+                            userManager.send(user.id, `[p:${userName(matches[0])}] is no longer a builder of ${zone.name}.`);
+                            return;
+                        }
+
+                        const target = findPlayer(name);
+                        if (!target) {
+                            return;
+                        }
+
+                        if (target.temporary) {
+                            userManager.send(user.id, `[p:${userName(target)}] is a visitor, only registered players can build.`);
+                            return;
+                        }
+
+                        if (_.some(zone.builders, {id: target.id})) {
+                            userManager.send(user.id, `[p:${userName(target)}] is already a builder of ${zone.name}.`);
+                            return;
+                        }
+
+                        zoneManager.updateZone(zone.id, {builders: [...zone.builders, {id: target.id, firstName: target.firstName, lastName: target.lastName}]});
+                        userManager.send(user.id, `[p:${userName(target)}] can now dig rooms in ${zone.name}.`);
+                        if (userManager.getUser({id: target.id}) && target.id !== user.id) {
+                            userManager.send(target.id, `[p:${userName(user)}] made you a builder of ${zone.name}.`);
+                        }
+                        break;
+                    }
+                    default:
+                        userManager.send(user.id, "Usage: [c:zone set name|desc|owner|default|builder|novisitors|ooconly <value>]");
+                        break;
+                }
+                break;
+            }
+            default:
+                userManager.send(user.id, `Usage: ${this.help}`);
+                break;
+        }
+    },
+};
@@ -0,0 +1,51 @@
+/**
+ * migrate.js
+ *
+ * Copies every stored record from one storage adapter to another, e.g. from the JSON
+ * directory layout into SQLite and back. Stop the server before migrating.
+ *
+ * Usage: npm run migrate -- <from> <to>
+ * E.g: "npm run migrate -- json sqlite"
+ */
+require("dotenv").config();
+const StorageAdapter = require("./modules/storageAdapter");
+
+// Collections holding records, indexes are rebuilt by the server on startup
+const COLLECTIONS = ["users", "rooms", "items", "mail"];
+
+const [from, to] = process.argv.slice(2);
+
+if (!from || !to || from === to) {
+    console.error("Usage: npm run migrate -- <from> <to>, e.g. npm run migrate -- json sqlite");
+    process.exit(1);
+}
+
+let source;
+let target;
+
+try {
+    source = StorageAdapter.create(from);
+    target = StorageAdapter.create(to);
+
+    COLLECTIONS.forEach((collection) => {
+        let copied = 0;
+
+        source.list(collection).forEach((id) => {
+            const data = source.get(collection, id);
+            if (data === null) {
+                console.warn(`Skipping unreadable ${collection} record ${id}.`);
+                return;
+            }
+            target.put(collection, id, data);
+            copied++;
+        });
+
+        console.log(`Copied ${copied} ${collection} from ${from} to ${to}.`);
+    });
+} catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    if (source) source.close();
+    if (target) target.close();
+}
@@ -8,10 +8,12 @@ class Room {
         this.lockable = data.lockable || false;
         this.locked = data.locked || false;
         this.whitelist = data.whitelist || [];
-        this.temporary = data.temporary || true; // Default to true
+        this.temporary = data.temporary ?? true; // Default to true
         this.creator = data.creator || null;
+        this.owner = data.owner || null;
         this.exits = data.exits || {};
-        this.props = data.props || {};
+        // Props written as plain text are only a description
+        this.props = Object.fromEntries(Object.entries(data.props || {}).map(([name, prop]) => [name, typeof prop === "string" ? {description: prop} : prop]));
     }
 }
 
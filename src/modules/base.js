@@ -10,12 +10,21 @@ const path = require('path');
 const _ = require("lodash");
 const LogHandler = require("../modules/logHandler");
 
+// Inserted into player text to break up markup, see escapeMarkup. Input never contains it, the InputFramer strips NUL
+const MARKUP_ESCAPE = "\0";
+
+// Tags players may never use, whatever PLAYER_MARKUP_TAGS allows
+const FORBIDDEN_PLAYER_TAGS = ["<cls>", "<hidden>"];
+
+// ANSI escape sequences take no room on screen, wrap never splits them
+const ANSI_SEQUENCE = /\x1b\[[\d;]*[A-Za-z]/g;
+
 class Base {
     constructor() {
         // Construct the logging system
         this.log = new LogHandler({path: process.cwd() + '/' + process.env.LOGS_PATH + '/'});
 
-        this.settings = this.getConfig();
+        this.settings = this.getConfig() || {};
 
         this.formatSpecs = {
             "<player_name>": (user) => `${user.firstName} ${user.lastName}` || "",
@@ -43,6 +52,11 @@ class Base {
             "<ht>": "    ", // Half Tab
             "<zws>": "\u200B", // Zero width space
         };
+
+        // Tags players may use in the text they type, e.g. "reset,red,green"
+        this.playerTags = _.split(process.env.PLAYER_MARKUP_TAGS ?? "reset,bold,underline,red,green,yellow,blue,magenta,cyan,white", ",")
+            .map((tag) => `<${_.trim(tag)}>`)
+            .filter((tag) => tag !== "<>" && !FORBIDDEN_PLAYER_TAGS.includes(tag));
     }
 
     /**
@@ -157,6 +171,62 @@ class Base {
         }
     }
 
+    /**
+     * Escapes the markup in text typed by a player, so format shows it literally. Only the
+     * tags in PLAYER_MARKUP_TAGS are kept, `<cls>` and `<hidden>` never are.
+     *
+     * @param {string} text - The text typed by a player.
+     * @param {string[]} [allowedTags] - The tags to keep, an empty list shows every tag as typed.
+     * @returns {string} - The text with all other tags broken up by an escape marker.
+     */
+    escapeMarkup(text, allowedTags = this.playerTags) {
+        return _.toString(text)
+            .replace(/<[^<>\s]*>/g, (tag) => (allowedTags.includes(tag) ? tag : `<${MARKUP_ESCAPE}${tag.slice(1)}`))
+            .replace(/\[(?=[a-z]:)/gi, `[${MARKUP_ESCAPE}`);
+    }
+
+    /**
+     * Removes the tags players may never use, `<cls>` and `<hidden>`, from text that otherwise
+     * keeps all its markup, like the room and zone texts builders write.
+     *
+     * @param {string} text - The text typed by a builder.
+     * @returns {string} - The text without the forbidden tags.
+     */
+    removeForbiddenTags(text) {
+        return FORBIDDEN_PLAYER_TAGS.reduce((result, tag) => result.split(tag).join(""), _.toString(text));
+    }
+
+    /**
+     * Removes the escape markers added by escapeMarkup, once the markup has been expanded.
+     *
+     * @param {string} text - The text to clean up.
+     * @returns {string}
+     */
+    unescapeMarkup(text) {
+        return _.toString(text).split(MARKUP_ESCAPE).join("");
+    }
+
+    /**
+     * Escapes every text in a record written by players, e.g. a user or an item, when it is
+     * loaded from storage. The escape markers are never stored, see unescapeRecord.
+     *
+     * @param {Object} record - The record as it was stored.
+     * @returns {Object} - A copy of the record with its markup escaped.
+     */
+    escapeRecord(record) {
+        return _.cloneDeepWith(record, (value) => (typeof value === "string" ? this.escapeMarkup(value) : undefined));
+    }
+
+    /**
+     * Removes the escape markers from every text in a record before it is stored.
+     *
+     * @param {Object} record - The record as it is kept in memory.
+     * @returns {Object} - A copy of the record without escape markers.
+     */
+    unescapeRecord(record) {
+        return _.cloneDeepWith(record, (value) => (typeof value === "string" ? this.unescapeMarkup(value) : undefined));
+    }
+
     /**
      * Replaces custom tags in a provided text depending on its context.
      * Uses regular expressions to find and format specific strings.
@@ -183,14 +253,110 @@ class Base {
             }
         }
 
+        // Escaped player markup is shown as typed
+        text = this.unescapeMarkup(text);
+
+        // Preferences set with the config command win over what the client supports
+        const preferences = user.preferences || {};
+
         // Remove ANSI color codes if the user doesn't support colors
-        !user.supportsColor && (text = text.replace(/\x1b\[\d+m/g, ''));
+        !(preferences.color ?? user.supportsColor) && (text = text.replace(/\x1b\[\d+m/g, ''));
 
         // Strip high ASCII characters if the user has supportsHighAscii set to false
-        !user.supportsHighAscii && (text = text.replace(/[\u0080-\uFFFF]/g, ''));
+        !(preferences.highAscii ?? user.supportsHighAscii) && (text = text.replace(/[\u0080-\uFFFF]/g, ''));
 
         return text;
     }
+
+    /**
+     * Gets the number of characters a formatted text takes on screen, ignoring ANSI codes.
+     *
+     * @param {string} text - The formatted text.
+     * @returns {number}
+     */
+    visibleLength(text) {
+        return text.replace(ANSI_SEQUENCE, "").length;
+    }
+
+    /**
+     * Word-wraps formatted text to a screen width. Lines break at spaces, words longer than
+     * the width are split, and ANSI codes are kept whole. Call it after format, so the
+     * markup is already expanded.
+     *
+     * @param {string} text - The formatted text.
+     * @param {number} width - The screen width in characters, 0 or less does not wrap.
+     * @returns {string} - The wrapped text, with "\r\n" between the added lines.
+     */
+    wrap(text, width) {
+        if (!(width > 0)) {
+            return text;
+        }
+
+        return text.split(/(\r?\n)/).map((line, index) => {
+            // Odd parts are the line endings kept by split
+            if (index % 2 === 1 || this.visibleLength(line) <= width) {
+                return line;
+            }
+
+            const lines = [];
+            let current = "";
+            let currentLength = 0;
+
+            const breakLine = () => {
+                lines.push(current.replace(/ +$/, ""));
+                current = "";
+                currentLength = 0;
+            };
+
+            line.split(/( +)/).forEach((token) => {
+                let tokenLength = this.visibleLength(token);
+
+                if (currentLength + tokenLength > width && currentLength > 0) {
+                    breakLine();
+
+                    // Spaces at the start of a wrapped line are dropped
+                    if (!_.trim(token)) {
+                        return;
+                    }
+                }
+
+                // Split words that do not fit on a line of their own
+                while (tokenLength > width) {
+                    const [head, tail] = this.splitVisible(token, width);
+                    lines.push(head);
+                    token = tail;
+                    tokenLength = this.visibleLength(token);
+                }
+
+                current += token;
+                currentLength += tokenLength;
+            });
+
+            lines.push(current);
+            return lines.join("\r\n");
+        }).join("");
+    }
+
+    /**
+     * Splits formatted text after a number of visible characters, keeping ANSI codes whole.
+     *
+     * @param {string} text - The formatted text.
+     * @param {number} length - The number of visible characters in the first part.
+     * @returns {string[]} - The first part and the rest.
+     */
+    splitVisible(text, length) {
+        const parts = text.match(new RegExp(`${ANSI_SEQUENCE.source}|.`, "gsu")) || [];
+        let visible = 0;
+        let index = 0;
+
+        for (; index < parts.length && visible < length; index++) {
+            if (!parts[index].startsWith("\x1b")) {
+                visible++;
+            }
+        }
+
+        return [parts.slice(0, index).join(""), parts.slice(index).join("")];
+    }
 }
 
 module.exports = Base;
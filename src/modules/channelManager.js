@@ -0,0 +1,163 @@
+/**
+ * ChannelManager handles the chat channels players can subscribe to. Channels are
+ * defined in db/channels.json, each with a description, a color, the minimum role
+ * needed to use it and whether players are subscribed by default.
+ *
+ * A user's own choices are kept in `user.channels`, mapping channel names to true or
+ * false, so channels that are on by default reach players who never touched them.
+ * Every channel keeps its last CHANNEL_HISTORY_SIZE messages in memory as scrollback.
+ *
+ * @module ChannelManager
+ */
+const fs = require("fs");
+const path = require("path");
+const _ = require("lodash");
+const Base = require("./base");
+const permissionManager = require("./permissionManager");
+
+class ChannelManager extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+
+        this.channels = {};
+        this.history = new Map();
+        this.historySize = parseInt(process.env.CHANNEL_HISTORY_SIZE) || 20;
+        this.loadChannels();
+    }
+
+    /**
+     * Loads the channel definitions from channels.json.
+     */
+    loadChannels() {
+        const filePath = path.join(`${process.cwd()}/${process.env.DB_PATH}/`, "channels.json");
+
+        try {
+            this.channels = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (error) {
+            this.logWarn(`Failed to load channels from ${filePath}: ${error.message}`);
+            this.channels = {};
+        }
+    }
+
+    /**
+     * Gets a channel by name, in any case.
+     *
+     * @param {string} name - The channel name.
+     * @returns {Object|null} - The channel with its name, or null if there is no such channel.
+     */
+    getChannel(name) {
+        const key = _.toLower(name);
+
+        if (!key || !_.has(this.channels, key)) {
+            return null;
+        }
+
+        return {name: key, ...this.channels[key]};
+    }
+
+    /**
+     * Gets the channels a user's role gives access to.
+     *
+     * @param {Object} user - The user.
+     * @returns {Object[]} - The channels.
+     */
+    getAvailableChannels(user) {
+        return Object.keys(this.channels)
+            .map((name) => this.getChannel(name))
+            .filter((channel) => this.canAccess(user, channel));
+    }
+
+    /**
+     * Checks whether a user's role is high enough for a channel.
+     *
+     * @param {Object} user - The user.
+     * @param {Object} channel - The channel.
+     * @returns {boolean}
+     */
+    canAccess(user, channel) {
+        return permissionManager.hasRole(user, channel.role);
+    }
+
+    /**
+     * Checks whether a user listens to a channel, falling back to the channel default
+     * when the user never joined or left it.
+     *
+     * @param {Object} user - The user.
+     * @param {Object} channel - The channel.
+     * @returns {boolean}
+     */
+    isSubscribed(user, channel) {
+        if (!this.canAccess(user, channel)) {
+            return false;
+        }
+
+        return _.get(user, ["channels", channel.name], channel.default === true) === true;
+    }
+
+    /**
+     * Subscribes a user to a channel or unsubscribes them. The caller saves the user.
+     *
+     * @param {Object} user - The user.
+     * @param {Object} channel - The channel.
+     * @param {boolean} subscribed - True to join, false to leave.
+     */
+    setSubscribed(user, channel, subscribed) {
+        user.channels = {...user.channels, [channel.name]: subscribed};
+    }
+
+    /**
+     * Gets the active users listening to a channel.
+     *
+     * @param {Object} channel - The channel.
+     * @param {Object[]} users - The active users.
+     * @returns {Object[]} - The subscribed users.
+     */
+    getListeners(channel, users) {
+        return users.filter((user) => this.isSubscribed(user, channel));
+    }
+
+    /**
+     * Formats a line as it is shown on a channel.
+     *
+     * @param {Object} channel - The channel.
+     * @param {string} text - The text after the channel tag.
+     * @returns {string}
+     */
+    formatLine(channel, text) {
+        const color = channel.color ? `<${channel.color}>` : "";
+        return `${color}[${channel.name}]<reset> ${text}<reset>`;
+    }
+
+    /**
+     * Adds a message to a channel's scrollback, dropping the oldest one when it is full.
+     *
+     * @param {Object} channel - The channel.
+     * @param {Object} sender - The user who spoke.
+     * @param {string} message - The message.
+     */
+    addHistory(channel, sender, message) {
+        const history = this.getHistory(channel);
+
+        history.push({
+            sender: {id: sender.id, role: sender.role}, // Enough to check ignore lists when the history is shown
+            from: sender.morphedName || `${sender.firstName} ${sender.lastName}`,
+            sentAt: new Date().toISOString(),
+            message,
+        });
+
+        this.history.set(channel.name, history.slice(-this.historySize));
+    }
+
+    /**
+     * Gets a channel's scrollback, oldest first.
+     *
+     * @param {Object} channel - The channel.
+     * @returns {Object[]} - The messages with their sender, sender name and time.
+     */
+    getHistory(channel) {
+        return this.history.get(channel.name) || [];
+    }
+}
+
+const channelManager = new ChannelManager();
+module.exports = channelManager;
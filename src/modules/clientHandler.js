@@ -9,9 +9,29 @@
  * - `commandHandler`: A commandHandler instance for handling commands
  */
 const _ = require("lodash");
+const {StringDecoder} = require("string_decoder");
 const Base = require("./base");
+const TelnetHandler = require("./telnetHandler");
+const InputFramer = require("./inputFramer");
 const User = require("../models/user");
 const userManager = require("../modules/userManager");
+const mailManager = require("./mailManager");
+
+// Statuses used while a user is logging in or creating an account
+const ACCOUNT_STATUSES = ["login_first_name", "login_last_name", "login_password", "create_first_name", "create_last_name", "create_password", "create_password_confirm"];
+
+// Most commands a single line may expand to through aliases and macros
+const ALIAS_MAX_COMMANDS = 20;
+
+// Profile values every newly created account starts with
+const NEW_ACCOUNT_DEFAULTS = {
+    role: "player",
+    title: "Fresh Soul",
+    description: "In the shifting light, you catch sight of a form that seems to waver between worlds, its presence a delicate balance between the tangible and the ephemeral. This is no mere apparition, but a soul newly awakened to the sensations of the mortal realm. Their features, once indistinct and ghostly, now hold a clarity and definition that speaks to their newfound embodiment. Eyes, once distant and unfocused, now brim with a quiet intensity, their gaze sweeping the world with a hunger for experience. Each movement is infused with a sense of purpose, as if the very act of walking upon solid ground is a testament to their triumph over the ethereal veil. Though their journey may be just beginning, there is a strength and resilience in their bearing that hints at the depth of their spirit and the potential that lies within.",
+    clothing: "Garments that cling to the body with reassuring solidity, grounding the character in the realm of the living.",
+    holding: "An empty hand, now capable of grasping and manipulating objects in the physical world.",
+    wielding: " A small, smooth stone that fits comfortably in the hand, perfect for absentmindedly tossing or skipping across a calm pond.",
+};
 
 class ClientHandler extends Base {
     constructor(params) {
@@ -37,13 +57,33 @@ class ClientHandler extends Base {
 
         this.user = user; // Assign the user to this.user
 
-        // Initial ansi color and high ASCII support checks for the user's terminal
-        user.status = "colorCheck";
+        // Terminal capabilities are negotiated over telnet first, the y/n checks are only a fallback
+        user.status = "negotiating";
         user.supportsColor = true;
         user.supportsHighAscii = true;
 
-        // Initial color check for the client's terminal
-        this.colorCheck();
+        // Set up the telnet protocol layer and start the option negotiation
+        this.telnet = new TelnetHandler({
+            client: this.client,
+            timeout: parseInt(process.env.TELNET_NEGOTIATION_TIMEOUT_MS),
+        });
+        this.telnet.eventEmitter.once("negotiated", (capabilities) => this.handleNegotiated(capabilities));
+        this.telnet.eventEmitter.on("resize", ({width, height}) => {
+            user.terminalWidth = width;
+            user.terminalHeight = height;
+        });
+        this.telnet.start();
+
+        // Buffer incoming data into lines and handle them one at a time. The decoder keeps
+        // multibyte characters that are split over two chunks together.
+        this.decoder = new StringDecoder("utf8");
+        this.framer = new InputFramer({
+            onLine: (line) => this.handleLine(line),
+            onOverflow: () => userManager.send(this.user.id, "Your input was too long and has been discarded."),
+            onQueueFull: () => userManager.send(this.user.id, "You are sending input faster than it can be handled, some of it has been discarded."),
+            maxLineLength: parseInt(process.env.MAX_INPUT_LINE_LENGTH),
+            logWarn: this.logWarn,
+        });
 
         user.eventEmitter.on("user_move", () =>
             this.commandHandler.handleCommands({
@@ -56,6 +96,8 @@ class ClientHandler extends Base {
             })
         );
 
+        user.eventEmitter.on("account_flow", ({mode, firstName, lastName}) => this.startAccountFlow(mode, firstName, lastName));
+
         this.handleEvents(); // Setup event handlers
     }
 
@@ -73,63 +115,198 @@ class ClientHandler extends Base {
 
         this.client.on("close", () => {
             this.logInfo("Client disconnected");
+            clearTimeout(this.telnet.timer); // stop waiting for a negotiation answer
+            this.framer.clear(); // drop any input still waiting to be handled
             this.user.online = false; // mark the user as offline
             userManager.save(this.user);
             userManager.removeUser(this.user.id); // remove the user from the list
             userManager.broadcast(`[p:${this.user.firstName} ${this.user.lastName}] has disconnected.`); // Notify all users about the disconnection
         });
 
-        this.client.on("data", async (data) => {
+        this.client.on("data", (data) => {
             try {
-                let cleanData = _.trim(_.toString(data));
-
-                if (!this.checkTerminalCapabilities(cleanData)) {
-                    if (cleanData) {
-                        // Get the command name
-                        let commandName = _.first(_.split(cleanData, ' ')).toLowerCase();
-
-                        // Check if the command exists
-                        if (!_.includes(this.commandHandler.getAllCommands(), commandName)) {
-                            userManager.send(this.user.id, `Command or alias "${commandName}" not found.`);
-
-                            userManager.sendPrompt(this.user);
-                            return false;
-                        }
-
-                        let cleanDataArray = cleanData.split(' ');
-                        cleanDataArray[0] = cleanDataArray[0].toLowerCase();
-                        cleanData = cleanDataArray.join(' ');
-
-                        const commandResult = this.commandHandler.handleCommands({
-                            user: this.user,
-                            userManager,
-                            roomManager: this.roomManager,
-                            itemManager: this.itemManager,
-                            data: cleanData
-                        });
-
-                        let didCommandSucceed;
-
-                        if (commandResult instanceof Promise) {
-                            didCommandSucceed = await commandResult;
-                        } else {
-                            didCommandSucceed = commandResult;
-                        }
-
-                        if (!didCommandSucceed) {
-                            console.log('Error: Command handler execution failed');
-                        }
-                        userManager.sendPrompt(this.user);
-                    } else {
-                        userManager.sendPrompt(this.user);
-                    }
+                // Strip telnet sequences, chunks holding only negotiation are not input
+                const text = this.telnet.parse(data);
+                if (!text.length) {
+                    return;
                 }
+
+                this.framer.push(this.decoder.write(text));
             } catch (error) {
                 this.logInfo(`Failed to handle data: ${error}`); // Error message if handling data fails
             }
         });
     }
 
+    /**
+     * Handles one complete line of input. Lines are fed in order by the InputFramer,
+     * which waits for the returned Promise before handing over the next line.
+     *
+     * @param {string} line - The line received from the client, without line terminator.
+     * @returns {Promise<boolean>} - Whether the line was handled as a command.
+     */
+    async handleLine(line) {
+        try {
+            let cleanData = _.trim(line);
+
+            if (this.checkTerminalCapabilities(cleanData)) {
+                return true;
+            }
+
+            if (this.user.pager && this.handlePager(cleanData)) {
+                return true;
+            }
+
+            if (!cleanData) {
+                userManager.sendPrompt(this.user);
+                return false;
+            }
+
+            // Expand the user's aliases, a macro runs several commands in a row
+            let commands;
+            try {
+                commands = this.expandAliases(cleanData);
+            } catch (error) {
+                userManager.send(this.user.id, error.message);
+                userManager.sendPrompt(this.user);
+                return false;
+            }
+
+            let didCommandSucceed = false;
+            for (const command of commands) {
+                didCommandSucceed = await this.handleCommandLine(command);
+
+                // The rest of a macro is skipped once a command fails
+                if (!didCommandSucceed) {
+                    break;
+                }
+            }
+
+            userManager.sendPrompt(this.user);
+            return didCommandSucceed;
+        } catch (error) {
+            this.logInfo(`Failed to handle data: ${error}`); // Error message if handling data fails
+            return false;
+        }
+    }
+
+    /**
+     * Runs a single command typed by the user or expanded from one of their aliases.
+     *
+     * @param {string} cleanData - The trimmed command line.
+     * @returns {Promise<boolean>} - Whether the command was found and executed.
+     */
+    async handleCommandLine(cleanData) {
+        // Get the command name
+        let commandName = _.first(_.split(cleanData, ' ')).toLowerCase();
+
+        // Check if the command exists
+        if (!this.commandHandler.getCommand(commandName)) {
+            userManager.send(this.user.id, `Command or alias "${commandName}" not found.`);
+            return false;
+        }
+
+        let cleanDataArray = cleanData.split(' ');
+        cleanDataArray[0] = cleanDataArray[0].toLowerCase();
+        cleanData = cleanDataArray.join(' ');
+
+        // Whatever the player typed is shown literally, apart from the allowed color tags.
+        // Builder and staff commands that write the world keep their markup, but only staff
+        // may use the tags that are never allowed from players
+        if (!this.commandHandler.getCommand(commandName).allowMarkup) {
+            cleanData = this.escapeMarkup(cleanData);
+        } else if (!userManager.isStaff(this.user)) {
+            cleanData = this.removeForbiddenTags(cleanData);
+        }
+
+        const didCommandSucceed = await this.commandHandler.handleCommands({
+            user: this.user,
+            userManager,
+            roomManager: this.roomManager,
+            itemManager: this.itemManager,
+            data: cleanData
+        });
+
+        if (!didCommandSucceed) {
+            console.log('Error: Command handler execution failed');
+        }
+        return didCommandSucceed;
+    }
+
+    /**
+     * Expands the user's aliases in a command line. In an alias "$1" to "$9" are replaced by
+     * the arguments typed after it, "$*" by all of them and "$$" by a dollar sign, without any
+     * "$" the arguments are added at the end. A ";" separates the commands of a macro, which
+     * may use other aliases in turn.
+     *
+     * @param {string} line - The command line.
+     * @param {string[]} [stack] - The aliases being expanded, to catch aliases that use themselves.
+     * @param {string[]} [expanded] - The commands expanded so far.
+     * @returns {string[]} - The commands to run in order.
+     * @throws {Error} If an alias uses itself or expands to too many commands.
+     */
+    expandAliases(line, stack = [], expanded = []) {
+        const [name, ...args] = line.split(/\s+/);
+        const aliasName = name.toLowerCase();
+        // Only the user's own aliases count, not keys inherited from Object like "constructor"
+        const aliases = this.user.aliases || {};
+        const template = Object.hasOwn(aliases, aliasName) ? aliases[aliasName] : null;
+
+        if (!_.isString(template) || !template) {
+            expanded.push(line);
+
+            if (expanded.length > ALIAS_MAX_COMMANDS || expanded.join(";").length > this.framer.maxLineLength) {
+                throw new Error(`Your aliases expand to more than ${ALIAS_MAX_COMMANDS} commands or ${this.framer.maxLineLength} characters.`);
+            }
+            return expanded;
+        }
+
+        if (stack.includes(aliasName)) {
+            throw new Error(`The alias "${aliasName}" uses itself through ${[...stack, aliasName].join(" > ")}.`);
+        }
+
+        // Aliases are escaped like the rest of the user record, the expanded commands are escaped
+        // again when they run, so the markers must not end up in what they store
+        let text = this.unescapeMarkup(template).replace(/\$(\$|\*|[1-9])/g, (match, token) => {
+            if (token === "$") {
+                return "$";
+            }
+            return token === "*" ? args.join(" ") : args[token - 1] || "";
+        });
+
+        if (!template.includes("$") && args.length) {
+            text += ` ${args.join(" ")}`;
+        }
+
+        text.split(";").map(_.trim).filter((command) => command).forEach((command) => this.expandAliases(command, [...stack, aliasName], expanded));
+        return expanded;
+    }
+
+    /**
+     * Answers the [more] prompt of the pager. Enter or "more" shows the next page, "q" stops
+     * reading, anything else stops reading and is handled as a command.
+     *
+     * @param {string} strData - The line typed by the user.
+     * @returns {boolean} - True if the line was meant for the pager.
+     */
+    handlePager(strData) {
+        const answer = strData.toLowerCase();
+
+        if (!answer || answer === "more") {
+            userManager.showNextPage(this.user);
+            return true;
+        }
+
+        userManager.clearPager(this.user);
+
+        if (answer === "q") {
+            userManager.sendPrompt(this.user);
+            return true;
+        }
+
+        return false;
+    }
+
     /**
      * Checks if ANSI colors are supported by the client.
      * It sends a message asking if colors are visible to the client.
@@ -187,15 +364,24 @@ class ClientHandler extends Base {
      * @return {boolean} - Returns true if the terminal capabilities check is in progress. Otherwise, returns false.
      */
     checkTerminalCapabilities(strData) {
-        if (this.user.status === "colorCheck") {
+        if (this.user.status === "negotiating") {
+            // Input typed before the negotiation finished is ignored
+        } else if (this.user.status === "colorCheck") {
             this.handleColorCheck(strData);
         } else if (this.user.status === "asciiCheck") {
             this.handleHighAsciiCheck(strData);
+        } else if (ACCOUNT_STATUSES.includes(this.user.status)) {
+            this.handleAccountFlow(strData);
         } else if (this.user.status === "welcome_pause") {
-            this.user.status = "active";
-            userManager.broadcast(`[p:${this.user.firstName} ${this.user.lastName}] has connected.`); // Notify all users about the new connection
-            userManager.moveUser(this.user.id, process.env.START_ZONE || '000', process.env.START_ROOM || '000');
-            userManager.sendPrompt(this.user);
+            const [command = "", action = "", firstName, lastName] = strData.split(/\s+/);
+
+            // Logging in from the welcome screen uses the saved display settings instead of asking
+            if (command.toLowerCase() === "user" && action.toLowerCase() === "login") {
+                this.connecting = true;
+                this.startAccountFlow("login", firstName, lastName);
+            } else {
+                this.finishConnecting();
+            }
         } else {
             return false;
         }
@@ -211,8 +397,8 @@ class ClientHandler extends Base {
     handleColorCheck(strData) {
         if (strData.toLowerCase() === "y" || strData.toLowerCase() === "n") {
             this.user.supportsColor = strData.toLowerCase() === "y";
-            this.user.status = "asciiCheck";
-            this.highAsciiCheck();
+            this.capabilities = {...this.capabilities, supportsColor: this.user.supportsColor};
+            this.finishConnecting();
         } else {
             this.colorCheck();
         }
@@ -227,16 +413,278 @@ class ClientHandler extends Base {
     handleHighAsciiCheck(strData) {
         if (strData.toLowerCase() === "y" || strData.toLowerCase() === "n") {
             this.user.supportsHighAscii = strData.toLowerCase() === "y";
-            this.sendUserBanner();
-            this.sendUserWelcome();
-            this.sendSpawnMessage();
-            this.sendUserMOTD();
-            userManager.send([this.user.id], "Press [c:enter] to continue.");
-            this.user.status = "welcome_pause";
+            this.capabilities = {...this.capabilities, supportsHighAscii: this.user.supportsHighAscii};
+            this.finishConnecting();
         } else {
             this.highAsciiCheck();
         }
     }
+
+    /**
+     * Applies the results of the telnet negotiation to the user. Capabilities the client
+     * did not report are asked for with the colorCheck and asciiCheck prompts once the
+     * user leaves the welcome screen, see finishConnecting.
+     *
+     * @param {Object} capabilities - Terminal type, color, high ASCII and window size reported by the client.
+     */
+    handleNegotiated(capabilities) {
+        this.capabilities = capabilities;
+        this.user.terminalType = capabilities.terminalType;
+        this.user.terminalWidth = capabilities.width;
+        this.user.terminalHeight = capabilities.height;
+
+        this.logInfo("Telnet negotiation finished", {terminalType: capabilities.terminalType, supportsColor: capabilities.supportsColor, supportsHighAscii: capabilities.supportsHighAscii});
+
+        this.user.supportsColor = capabilities.supportsColor ?? this.user.supportsColor;
+        this.user.supportsHighAscii = capabilities.supportsHighAscii ?? this.user.supportsHighAscii;
+        this.sendWelcomeSequence();
+    }
+
+    /**
+     * Sends the banner, welcome, spawn and MOTD messages and pauses until the user presses enter
+     * or logs in.
+     */
+    sendWelcomeSequence() {
+        this.sendUserBanner();
+        this.sendUserWelcome();
+        this.sendSpawnMessage();
+        this.sendUserMOTD();
+        userManager.send([this.user.id], "Press [c:enter] to continue, or type [c:user login] to log in.");
+        this.user.status = "welcome_pause";
+    }
+
+    /**
+     * Asks for the terminal capabilities the client did not report, unless the user has a saved
+     * preference for them, and enters the game once they are all known.
+     */
+    finishConnecting() {
+        const capabilities = this.capabilities || {};
+
+        if (capabilities.supportsColor === undefined && userManager.getPreference(this.user, "color") === undefined) {
+            this.user.status = "colorCheck";
+            this.colorCheck();
+            return;
+        }
+
+        if (capabilities.supportsHighAscii === undefined && userManager.getPreference(this.user, "highAscii") === undefined) {
+            this.user.status = "asciiCheck";
+            this.highAsciiCheck();
+            return;
+        }
+
+        this.enterGame();
+    }
+
+    /**
+     * Leaves the welcome screen for the game. Visitors start in the start room,
+     * accounts logged in from the welcome screen where they left off.
+     */
+    enterGame() {
+        const startZone = process.env.START_ZONE || '000';
+        const startRoom = process.env.START_ROOM || '000';
+        const hasSavedRoom = !this.user.temporary && this.roomManager.exists(this.user.zoneId, this.user.roomId);
+
+        this.connecting = false;
+        this.user.status = "active";
+        userManager.broadcast(`[p:${this.user.firstName} ${this.user.lastName}] has connected.`); // Notify all users about the new connection
+        userManager.moveUser(this.user.id, hasSavedRoom ? this.user.zoneId : startZone, hasSavedRoom ? this.user.roomId : startRoom, true);
+        userManager.sendPrompt(this.user);
+    }
+
+    /**
+     * Starts the interactive login or account creation flow. Names already given
+     * with the command are used, everything else is prompted for step by step.
+     *
+     * @param {string} mode - Either 'login' or 'create'.
+     * @param {string} [firstName] - First name given with the command.
+     * @param {string} [lastName] - Last name given with the command.
+     */
+    startAccountFlow(mode, firstName, lastName) {
+        // Passwords should not travel in cleartext when the server is set up to require encryption
+        if (process.env.TLS_REQUIRED_FOR_LOGIN === "true" && !this.client.encrypted) {
+            userManager.send([this.user.id], `Accounts can only be used over an encrypted connection, please reconnect on the secure port${process.env.TLS_PORT ? ` (${process.env.TLS_PORT})` : ""}.`);
+            return;
+        }
+
+        this.accountFlow = {mode, firstName, lastName};
+
+        if (firstName && lastName) {
+            this.promptPassword(`${mode}_password`, "Password: ");
+        } else {
+            this.user.status = `${mode}_first_name`;
+            userManager.send([this.user.id], "Enter your first name, or press [c:enter] to cancel: ");
+        }
+    }
+
+    /**
+     * Handles one answer in the login or account creation flow. Passwords are only kept
+     * in memory until the flow finishes and never reach the command handler or the logs.
+     *
+     * @param {string} strData - The answer typed by the user.
+     */
+    handleAccountFlow(strData) {
+        const flow = this.accountFlow;
+        const status = this.user.status;
+
+        if (status.endsWith("password") || status.endsWith("password_confirm")) {
+            // The client did not echo the newline either
+            userManager.send([this.user.id], "", false, false);
+        }
+
+        if (!strData) {
+            this.endAccountFlow("Cancelled.");
+            return;
+        }
+
+        switch (status) {
+            case "login_first_name":
+            case "create_first_name":
+                flow.firstName = strData;
+                this.user.status = `${flow.mode}_last_name`;
+                userManager.send([this.user.id], "Enter your last name: ");
+                break;
+            case "login_last_name":
+            case "create_last_name":
+                flow.lastName = strData;
+                this.promptPassword(`${flow.mode}_password`, "Password: ");
+                break;
+            case "login_password":
+                this.loginAccount(flow.firstName, flow.lastName, strData);
+                break;
+            case "create_password":
+                flow.password = strData;
+                this.promptPassword("create_password_confirm", "Confirm password: ");
+                break;
+            case "create_password_confirm":
+                if (strData !== flow.password) {
+                    flow.password = null;
+                    userManager.send([this.user.id], "The passwords do not match.");
+                    this.promptPassword("create_password", "Password: ");
+                    return;
+                }
+                this.createAccount(flow.firstName, flow.lastName, strData);
+                break;
+        }
+    }
+
+    /**
+     * Switches to a password status and hides the typed characters with telnet WILL ECHO.
+     *
+     * @param {string} status - The password status to switch to.
+     * @param {string} prompt - The prompt to show.
+     */
+    promptPassword(status, prompt) {
+        this.user.status = status;
+        this.telnet.setEcho(true);
+        userManager.send([this.user.id], prompt);
+    }
+
+    /**
+     * Ends the login or account creation flow, turns the client echo back on and returns the user to the game.
+     *
+     * @param {string} [message] - Optional message to send to the user.
+     */
+    endAccountFlow(message) {
+        this.accountFlow = null;
+        this.telnet.setEcho(false);
+        this.user.status = "active";
+
+        if (message) {
+            userManager.send([this.user.id], message);
+        }
+
+        // A login from the welcome screen goes on into the game, whether it worked or not
+        if (this.connecting) {
+            this.finishConnecting();
+            return;
+        }
+        userManager.sendPrompt(this.user);
+    }
+
+    /**
+     * Verifies the credentials and loads the persisted account into the connected user.
+     *
+     * @param {string} firstName - The first name of the account.
+     * @param {string} lastName - The last name of the account.
+     * @param {string} password - The plain-text password typed by the user.
+     */
+    loginAccount(firstName, lastName, password) {
+        const user = this.user;
+        const origFirstName = user.firstName;
+        const origLastName = user.lastName;
+
+        try {
+            const persistedUser = userManager.verifyAndLoadUser(firstName, lastName, password);
+
+            // If all checks pass, update in-memory user
+            Object.assign(user, persistedUser);
+
+            // Users logging in from the welcome screen are not in a room yet
+            if (!this.connecting) {
+                user.eventEmitter.emit("user_move");
+            }
+
+            // Point out mail that arrived while the user was away
+            const unreadMail = mailManager.getUnreadCount(user.id);
+            const mailNotice = unreadMail ? `\r\nYou have ${unreadMail} unread message${unreadMail === 1 ? "" : "s"}, use [c:mail list] to read them.` : "";
+
+            const connecting = this.connecting;
+            this.endAccountFlow(`Logged in successfully, you are now [p:${user.firstName} ${user.lastName}].${mailNotice}`);
+            if (!connecting) {
+                userManager.broadcast(`[p:${origFirstName} ${origLastName}] is now known as [p:${user.firstName} ${user.lastName}]`);
+            }
+        } catch (error) {
+            this.endAccountFlow(error.message);
+        }
+    }
+
+    /**
+     * Creates a new persisted account from the connected visitor.
+     *
+     * @param {string} firstName - The first name of the new account.
+     * @param {string} lastName - The last name of the new account.
+     * @param {string} password - The plain-text password typed by the user.
+     */
+    createAccount(firstName, lastName, password) {
+        const user = this.user;
+        const origFirstName = user.firstName;
+        const origLastName = user.lastName;
+
+        // Validate firstName and lastName against non-alphabetic characters
+        if (!/^[a-zA-Z-' ]+$/u.test(firstName) || !/^[a-zA-Z-' ]+$/u.test(lastName)) {
+            this.endAccountFlow("Names can only contain alphabetic characters, spaces, hyphens, and apostrophes.");
+            return;
+        }
+
+        try {
+            // Hash the password, get back the hashed password as password, and salt.
+            let hashedData = userManager.hashPassword(password);
+
+            // Clone the user and update its relevant properties
+            let tempUser = {
+                ...user,
+                ...hashedData,
+                ...NEW_ACCOUNT_DEFAULTS,
+                firstName,
+                lastName,
+                temporary: false,
+            };
+
+            let persistedUser = userManager.create(tempUser);
+            if (!persistedUser) {
+                this.endAccountFlow("Someone please tell admin my user creation is broken.");
+                return;
+            }
+
+            // Instead of reassigning user, update its properties in-place
+            Object.assign(user, persistedUser);
+
+            this.endAccountFlow(`Account created, you are now [p:${user.firstName} ${user.lastName}]. Please use [c:user get] and [c:user set] to update your profile description and title as needed.`);
+            userManager.broadcast(`[p:${origFirstName} ${origLastName}] is now known as [p:${user.firstName} ${user.lastName}]`);
+        } catch (error) {
+            this.endAccountFlow(error.message);
+        }
+    }
 }
 
 module.exports = ClientHandler;
@@ -8,6 +8,11 @@ const fs = require("fs");
 const path = require("path");
 
 const Base = require("./base");
+const permissionManager = require("./permissionManager");
+const serverManager = require("./serverManager");
+const mailManager = require("./mailManager");
+const channelManager = require("./channelManager");
+const zoneManager = require("./zoneManager");
 
 class CommandHandler extends Base {
     constructor() {
@@ -15,6 +20,7 @@ class CommandHandler extends Base {
 
         // Initialize class properties
         this.commands = new Map();
+        this.permissionManager = permissionManager;
 
         // Automatically load commands when the class is initialized
         this.loadCommands();
@@ -74,6 +80,18 @@ class CommandHandler extends Base {
         return allCommands;
     }
 
+    /**
+     * Gets the main commands a user is allowed to run through at least one of their names or aliases.
+     *
+     * @param {object} user - The user to check the commands for.
+     * @returns {object[]} An array of main command objects the user can run.
+     */
+    getAvailableCommands(user) {
+        return this.getMainCommands().filter((command) =>
+            [command.name, ...(command.aliases || [])].some((name) => this.permissionManager.canRunCommand(user, command, name))
+        );
+    }
+
     /**
      * Handles and executes the incoming commands if they exist in the commands Map,
      * otherwise returns false. The command's execution also provides various potential parameters.
@@ -87,12 +105,19 @@ class CommandHandler extends Base {
         // Split on the first space to separate command from arguments
         const [commandName, parameters] = message.split(/ (.+)/);
 
-        // Get command or aliases from commands Map
-        const command = this.commands.get(commandName);
+        // Get command, alias or channel from commands Map
+        const command = this.getCommand(commandName);
         if (!command) {
             return false;
         }
 
+        // Enforce the command's required capability, commands triggered internally (e.g. look on move) are not checked
+        const context = params.context || "user";
+        if (context === "user" && !this.permissionManager.canRunCommand(params.user, command, commandName)) {
+            params.userManager.send(params.user.id, this.permissionManager.getDenialMessage(params.user, commandName));
+            return false;
+        }
+
         // Execute the command with the provided parameters
         try {
             await command.execute({
@@ -102,8 +127,13 @@ class CommandHandler extends Base {
                 roomManager: params.roomManager,
                 itemManager: params.itemManager,
                 data: parameters,
-                context: params.context || "user",
+                context,
                 commandHandler: this,
+                permissionManager: this.permissionManager,
+                serverManager,
+                mailManager,
+                channelManager,
+                zoneManager,
                 log: {
                     logInfo: this.logInfo,
                     logWarn: this.logWarn,
@@ -118,6 +148,21 @@ class CommandHandler extends Base {
         }
     }
 
+    /**
+     * Gets the command run by a name or alias. The name of a chat channel runs the
+     * channel command, so players can talk on a channel by its name.
+     *
+     * @param {string} commandName - The name or alias used.
+     * @returns {object|null} The command object, or null if nothing is run by that name.
+     */
+    getCommand(commandName) {
+        if (this.commands.has(commandName)) {
+            return this.commands.get(commandName);
+        }
+
+        return channelManager.getChannel(commandName) ? this.commands.get("channel") || null : null;
+    }
+
     /**
      * Gathers and returns all command names and aliases stored in the commands map.
      *
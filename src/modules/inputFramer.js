@@ -0,0 +1,126 @@
+/**
+ * The InputFramer class turns the stream of data chunks received from a client into
+ * complete lines. It buffers partial input per connection, splits on CR, LF or CRLF,
+ * and hands the lines to a handler one at a time, in order, waiting for async handlers
+ * to finish before the next line is processed.
+ *
+ * @module InputFramer
+ */
+class InputFramer {
+    /**
+     * @param {Object} params - Framer options.
+     * - `onLine`: Called with every complete line, may return a Promise.
+     * - `onOverflow`: Called when a line longer than `maxLineLength` was discarded.
+     * - `maxLineLength`: Maximum accepted line length in characters.
+     * - `maxQueuedLines`: Maximum number of lines waiting to be handled, more are discarded.
+     * - `onQueueFull`: Called once when lines were discarded because the queue was full.
+     * - `logWarn`: Called with a message when the line handler fails.
+     */
+    constructor(params) {
+        this.onLine = params.onLine;
+        this.onOverflow = params.onOverflow || (() => {});
+        this.maxLineLength = params.maxLineLength || 1024;
+        this.maxQueuedLines = params.maxQueuedLines || 100;
+        this.onQueueFull = params.onQueueFull || (() => {});
+        this.logWarn = params.logWarn || (() => {});
+
+        this.buffer = "";
+        this.queue = [];
+        this.processing = false;
+        this.discarding = false; // True while skipping the rest of an overlong line
+        this.lastWasCR = false; // True if the previous chunk ended with a CR, so a leading LF belongs to it
+        this.queueFull = false; // True while discarding lines until the queue is handled
+    }
+
+    /**
+     * Adds received text to the buffer and queues every line it completes.
+     *
+     * @param {string} text - Text received from the client.
+     */
+    push(text) {
+        // Telnet sends a bare CR as CR NUL
+        text = text.replace(/\0/g, "");
+
+        if (this.lastWasCR && text.startsWith("\n")) {
+            text = text.slice(1);
+        }
+
+        if (text.length) {
+            this.lastWasCR = text.endsWith("\r");
+        }
+
+        const parts = (this.buffer + text).split(/\r\n|\r|\n/);
+        this.buffer = parts.pop(); // The last part is not terminated yet
+
+        parts.forEach((line) => this.enqueue(line));
+
+        if (this.buffer.length > this.maxLineLength) {
+            this.buffer = "";
+            if (!this.discarding) {
+                this.discarding = true;
+                this.onOverflow();
+            }
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Queues a complete line, unless it is (the end of) an overlong line or the queue is full.
+     *
+     * @param {string} line - The line to queue.
+     */
+    enqueue(line) {
+        if (this.discarding) {
+            this.discarding = false;
+            return;
+        }
+
+        if (line.length > this.maxLineLength) {
+            this.onOverflow();
+            return;
+        }
+
+        // A client sending lines faster than they are handled can not fill up the memory
+        if (this.queue.length >= this.maxQueuedLines) {
+            if (!this.queueFull) {
+                this.queueFull = true;
+                this.onQueueFull();
+            }
+            return;
+        }
+
+        this.queue.push(line);
+    }
+
+    /**
+     * Feeds queued lines to the line handler one at a time, in the order they were received.
+     */
+    async drain() {
+        if (this.processing) {
+            return;
+        }
+
+        this.processing = true;
+        while (this.queue.length) {
+            const line = this.queue.shift();
+            try {
+                await this.onLine(line);
+            } catch (error) {
+                this.logWarn(`Failed to handle line: ${error.message}`);
+            }
+        }
+        this.processing = false;
+        this.queueFull = false;
+    }
+
+    /**
+     * Drops all buffered and queued input, used when the connection closes.
+     */
+    clear() {
+        this.buffer = "";
+        this.queue = [];
+    }
+}
+
+module.exports = InputFramer;
@@ -3,38 +3,94 @@
  * items within the application. It uses a Map to store items and provides
  * utility methods to load and check item existence.
  *
+ * All items are loaded once on startup and kept in memory. An index keyed by owner,
+ * location, container and type is updated whenever an item is saved or deleted, so
+ * findItems only has to look at the items that can match instead of every item.
+ *
  * @module ItemManager
  */
-const fs = require("fs");
-const path = require("path");
 const Item = require("../models/item");
 const Base = require("./base");
+const storage = require("./storage");
 
 const allowedTypes = [
     "bauble", "head", "clothing", "armor", "bag", "pants", "weapon", "tool", "shield", "footwear", "gloves", "accessory", "jewelry", "consumable", "potion", "scroll", "food", "drink", "furniture", "key", "book", "map", "material", "resource", "component", "spell", "ingredient", "artifact", "relic", "gadget", "toy", "instrument", "decoration", "currency", "gem", "orb", "amulet", "ring", "cloak", "belt", "helmet", "boots", "gauntlets", "lantern", "torch", "rod", "staff", "wand", "bag", "satchel", "backpack", "trap", "lockpick", "ammunition", "bomb", "device", "machine", "equipment", "siege", "banner", "emblem", "token", "charm", "talisman", "totem", "idol", "statue", "trophy", "fossil", "specimen", "collectible", "memorabilia", "souvenir", "keepsake", "heirloom", "ritual", "sacrifice", "offering", "vessel", "utility", "miscellaneous", "candle", "lamp","bonfire","campfire"
 ];
 
+// Item properties findItems can look up through the index
+const indexedKeys = ["owner", "location", "container", "type"];
+
 class ItemManager extends Base {
-    constructor(params) {
+    constructor() {
         super(); // Call the constructor of the base class
 
         this.items = new Map();
-        this.itemPath = params.itemPath;
+
+        // Indexed key => (value => Set of item IDs), and item ID => the values it is indexed under
+        this.index = new Map(indexedKeys.map(key => [key, new Map()]));
+        this.indexedValues = new Map();
+
+        this.loadItems();
+    }
+
+    /**
+     * Loads every stored item into memory and indexes it.
+     */
+    loadItems() {
+        storage.list("items").forEach(itemId => this.loadItem(itemId));
+
+        this.logInfo(`Loaded ${this.items.size} items.`);
     }
 
     /**
-     * Formats item ID to have leading zeros and formulates the item filename.
+     * Adds an item to the index, replacing the values it was indexed under before.
      *
-     * @param {string} itemId - Item ID.
-     * @returns {string} - Formatted item filename.
+     * @param {Item} item - The item to index.
+     */
+    indexItem(item) {
+        this.unindexItem(item.id);
+
+        const values = {};
+        indexedKeys.forEach(key => {
+            const valueMap = this.index.get(key);
+            if (!valueMap.has(item[key])) {
+                valueMap.set(item[key], new Set());
+            }
+            valueMap.get(item[key]).add(item.id);
+            values[key] = item[key];
+        });
+
+        this.indexedValues.set(item.id, values);
+    }
+
+    /**
+     * Removes an item from the index.
+     *
+     * @param {string} itemId - The ID of the item to remove.
      */
-    getItemFilename(itemId) {
-        return `${itemId}.json`;
+    unindexItem(itemId) {
+        const values = this.indexedValues.get(itemId);
+        if (!values) {
+            return;
+        }
+
+        indexedKeys.forEach(key => {
+            const valueMap = this.index.get(key);
+            const ids = valueMap.get(values[key]);
+            if (ids) {
+                ids.delete(itemId);
+                if (ids.size === 0) {
+                    valueMap.delete(values[key]);
+                }
+            }
+        });
+
+        this.indexedValues.delete(itemId);
     }
 
     /**
      * Loads an item specified by item ID.
-     * Checks if item is already loaded and if not, reads the item data from file system.
+     * Checks if item is already loaded and if not, reads the item data from storage.
      *
      * @param {string} itemId - Item ID.
      * @returns {Item|boolean} - An instance of Item or false if error occurs or item doesn't exist.
@@ -46,23 +102,17 @@ class ItemManager extends Base {
                 return this.items.get(itemId);
             }
 
-            const filename = this.getItemFilename(itemId);
-            const filePath = path.join(this.itemPath, filename);
-
-            // Check if the item file exists
-            if (!fs.existsSync(filePath)) {
+            const itemData = storage.get("items", itemId);
+            if (!itemData) {
                 return false;
             }
 
-            // Delete the previous cache before requiring the file.
-            delete require.cache[require.resolve(filePath)];
-
-            const itemData = require(filePath);
             const item = new Item();
-            Object.assign(item, itemData);
+            Object.assign(item, this.escapeRecord(itemData));
 
             // Add the loaded item to the map
             this.items.set(itemId, item);
+            this.indexItem(item);
 
             return item;
         } catch (error) {
@@ -72,14 +122,17 @@ class ItemManager extends Base {
     }
 
     /**
-     * Saves an item to the file system.
+     * Saves an item to storage and updates the index, so an item changed
+     * in place is found under its new owner, location or type.
      *
      * @param {Item} item - The item to save.
      */
     saveItem(item) {
-        const filename = this.getItemFilename(item.id);
-        const filePath = path.join(this.itemPath, filename);
-        fs.writeFileSync(filePath, JSON.stringify(item, null, 2));
+        storage.put("items", item.id, this.unescapeRecord(item));
+
+        if (this.items.has(item.id)) {
+            this.indexItem(item);
+        }
     }
 
     /**
@@ -97,21 +150,17 @@ class ItemManager extends Base {
     }
 
     /**
-     * Removes an item from the items map and deletes its file.
+     * Removes an item from the items map and deletes it from storage.
      *
      * @param {string} itemId - The ID of the item to remove.
      * @returns {boolean} Whether the item was successfully removed.
      */
     deleteItem(itemId) {
         if (this.items.has(itemId)) {
-            const filename = this.getItemFilename(itemId);
-            const filePath = path.join(this.itemPath, filename);
-
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
+            storage.delete("items", itemId);
 
             this.items.delete(itemId);
+            this.unindexItem(itemId);
             return true;
         }
         return false;
@@ -148,13 +197,15 @@ class ItemManager extends Base {
         }
 
         const item = this.items.get(itemId);
-        Object.assign(item, newData);
 
-        // Ensure only one of owner, location, or container is set
-        if (item.owner && item.location) {
+        // Ensure only one of owner, location, or container is set. The update is checked before
+        // it is applied, so a rejected one leaves the item and the index as they were
+        const updated = {...item, ...newData};
+        if (updated.owner && updated.location) {
             throw new Error("An item cannot have both an owner and a location.");
         }
 
+        Object.assign(item, newData);
         this.saveItem(item);
         return item;
     }
@@ -179,28 +230,26 @@ class ItemManager extends Base {
 
     /**
      * Finds items based on a specified criteria.
+     * Indexed keys (owner, location, container, type) narrow the search down to the
+     * smallest matching set of items first, the remaining keys are then checked on those.
      *
      * @param {Object} criteria - The criteria to search items by.
      * @returns {Array} The items that match the criteria.
      */
     findItems(criteria) {
-        const tempItems = new Map();
-
-        // Load all item files into temp storage
-        const itemFiles = fs.readdirSync(this.itemPath);
-        itemFiles.forEach(file => {
-            const itemId = path.basename(file, '.json');
-            if (!this.items.has(itemId)) {
-                const item = this.loadItem(itemId);
-                if (item) {
-                    tempItems.set(itemId, item);
-                }
+        let candidateIds = null;
+
+        // Start from the smallest set of items matching an indexed key
+        indexedKeys.filter(key => key in criteria).forEach(key => {
+            const ids = this.index.get(key).get(criteria[key]) || new Set();
+            if (candidateIds === null || ids.size < candidateIds.size) {
+                candidateIds = ids;
             }
         });
 
-        // Combine tempItems and this.items for searching
-        const allItems = new Map([...this.items, ...tempItems]);
-        const itemsArray = Array.from(allItems.values());
+        const itemsArray = candidateIds === null
+            ? Array.from(this.items.values())
+            : Array.from(candidateIds, itemId => this.items.get(itemId));
 
         // Search through items based on criteria
         const matchingItems = itemsArray.filter(item => {
@@ -0,0 +1,73 @@
+/**
+ * JsonStorageAdapter is the default storage backend. Every collection is a directory
+ * under DB_PATH holding one JSON file per record, e.g. db/rooms/000:000.json, written
+ * atomically through JsonStore.
+ *
+ * @module JsonStorageAdapter
+ */
+const fs = require("fs");
+const path = require("path");
+const StorageAdapter = require("./storageAdapter");
+const jsonStore = require("./jsonStore");
+
+// Indentation used per collection, so hand edited files keep their layout
+const SPACING = {rooms: 4, items: 2};
+
+class JsonStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [params]
+     * @param {string} [params.dbPath] - The database directory, defaults to DB_PATH.
+     */
+    constructor(params = {}) {
+        super(); // Call the constructor of the base class
+
+        this.dbPath = path.resolve(process.cwd(), params.dbPath || process.env.DB_PATH);
+    }
+
+    /**
+     * Gets the path of a record file.
+     *
+     * @param {string} collection - The collection name.
+     * @param {string} id - The record ID.
+     * @returns {string} - The file path.
+     */
+    getFilePath(collection, id) {
+        return path.join(this.dbPath, collection, `${id}.json`);
+    }
+
+    get(collection, id) {
+        return jsonStore.read(this.getFilePath(collection, id));
+    }
+
+    put(collection, id, data) {
+        fs.mkdirSync(path.join(this.dbPath, collection), {recursive: true});
+        jsonStore.write(this.getFilePath(collection, id), data, SPACING[collection]);
+    }
+
+    delete(collection, id) {
+        const filePath = this.getFilePath(collection, id);
+        if (!jsonStore.exists(filePath)) {
+            return false;
+        }
+
+        jsonStore.remove(filePath);
+        return true;
+    }
+
+    query(collection, criteria = {}) {
+        return this.list(collection)
+            .map((id) => ({id, data: this.get(collection, id)}))
+            .filter((record) => record.data && this.matches(record.data, criteria));
+    }
+
+    list(collection) {
+        const directory = path.join(this.dbPath, collection);
+        return fs.existsSync(directory) ? jsonStore.list(directory) : [];
+    }
+
+    exists(collection, id) {
+        return jsonStore.exists(this.getFilePath(collection, id));
+    }
+}
+
+module.exports = JsonStorageAdapter;
@@ -0,0 +1,164 @@
+/**
+ * JsonStore is the shared persistence layer for the JSON records of users, rooms and items.
+ *
+ * Writes never touch the live file directly: the data is written to a temporary file,
+ * flushed to disk and then renamed over the live file, so a crash leaves either the old
+ * or the new version behind, never half of one. The previous version is kept as a
+ * `.bak` file next to it, and reads fall back to that backup when the live file is
+ * unreadable.
+ *
+ * @module JsonStore
+ */
+const fs = require("fs");
+const path = require("path");
+const Base = require("./base");
+
+class JsonStore extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+    }
+
+    /**
+     * Gets the path of the backup file kept for a record.
+     *
+     * @param {string} filePath - The path of the record.
+     * @returns {string} - The backup path.
+     */
+    getBackupPath(filePath) {
+        return `${filePath}.bak`;
+    }
+
+    /**
+     * Checks whether a record exists, either as the live file or only as its backup.
+     *
+     * @param {string} filePath - The path of the record.
+     * @returns {boolean}
+     */
+    exists(filePath) {
+        return fs.existsSync(filePath) || fs.existsSync(this.getBackupPath(filePath));
+    }
+
+    /**
+     * Lists the records in a directory by name without the `.json` extension, including
+     * records that only have a backup left.
+     *
+     * @param {string} directory - The directory to list.
+     * @returns {Array} - The record names.
+     */
+    list(directory) {
+        const names = fs.readdirSync(directory)
+            .filter((file) => file.endsWith(".json") || file.endsWith(".json.bak"))
+            .map((file) => file.replace(/\.json(\.bak)?$/, ""));
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Reads and parses a record. If the live file is missing or can not be parsed,
+     * the backup is used instead and a warning is logged.
+     *
+     * @param {string} filePath - The path of the record.
+     * @returns {Object|null} - The parsed data, or null if neither the file nor its backup could be read.
+     */
+    read(filePath) {
+        const backupPath = this.getBackupPath(filePath);
+
+        if (!fs.existsSync(filePath) && !fs.existsSync(backupPath)) {
+            return null;
+        }
+
+        try {
+            return this.parseFile(filePath);
+        } catch (error) {
+            this.logWarn(`Failed to read ${filePath}, falling back to its backup: ${error.message}`);
+        }
+
+        try {
+            return this.parseFile(backupPath);
+        } catch (error) {
+            this.logWarn(`Failed to read the backup of ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Writes a record atomically and keeps the previous version as backup.
+     *
+     * @param {string} filePath - The path of the record.
+     * @param {Object} data - The data to write, serialized as JSON.
+     * @param {number} [spacing] - Indentation passed on to JSON.stringify.
+     */
+    write(filePath, data, spacing) {
+        const tempPath = `${filePath}.tmp`;
+        const json = JSON.stringify(data, null, spacing);
+
+        // Write the new version next to the live file and flush it to disk
+        const fd = fs.openSync(tempPath, "w");
+        try {
+            fs.writeSync(fd, json);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Keep the current version as backup, unless it is corrupt and the backup is the last good copy
+        if (fs.existsSync(filePath)) {
+            try {
+                this.parseFile(filePath);
+                fs.copyFileSync(filePath, this.getBackupPath(filePath));
+            } catch (error) {
+                this.logWarn(`Not backing up unreadable ${filePath}: ${error.message}`);
+            }
+        }
+
+        fs.renameSync(tempPath, filePath);
+        this.syncDirectory(path.dirname(filePath));
+    }
+
+    /**
+     * Removes a record together with its backup and any leftover temporary file.
+     *
+     * @param {string} filePath - The path of the record.
+     */
+    remove(filePath) {
+        [filePath, this.getBackupPath(filePath), `${filePath}.tmp`].forEach((file) => {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+    }
+
+    /**
+     * Reads and parses a single JSON file.
+     *
+     * @param {string} filePath - The file to parse.
+     * @returns {Object} - The parsed data.
+     * @throws {Error} If the file can not be read or parsed.
+     */
+    parseFile(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+
+    /**
+     * Flushes a directory entry to disk so a rename survives a crash. Not every
+     * platform allows opening a directory, in which case this does nothing.
+     *
+     * @param {string} directory - The directory to flush.
+     */
+    syncDirectory(directory) {
+        let fd;
+        try {
+            fd = fs.openSync(directory, "r");
+            fs.fsyncSync(fd);
+        } catch (error) {
+            // Directory fsync is not supported here, the rename is still atomic
+        } finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+    }
+}
+
+const jsonStore = new JsonStore();
+module.exports = jsonStore;
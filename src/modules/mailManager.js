@@ -0,0 +1,136 @@
+/**
+ * MailManager keeps a mailbox per registered user, so players can leave messages for
+ * someone who is offline. Each mailbox is stored as one record in the "mail" collection,
+ * keyed by the recipient's user ID, and holds at most MAILBOX_SIZE_LIMIT messages.
+ *
+ * @module MailManager
+ */
+const uuid = require("uuid");
+const Base = require("./base");
+const storage = require("./storage");
+
+class MailManager extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+
+        this.sizeLimit = parseInt(process.env.MAILBOX_SIZE_LIMIT) || 50;
+    }
+
+    /**
+     * Gets the messages in a user's mailbox, oldest first.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @returns {Array} - The messages.
+     */
+    getMessages(userId) {
+        const mailbox = storage.get("mail", userId);
+        return mailbox ? this.escapeRecord(mailbox.messages) : [];
+    }
+
+    /**
+     * Saves the messages of a user's mailbox.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @param {Array} messages - The messages.
+     */
+    saveMessages(userId, messages) {
+        storage.put("mail", userId, {messages: this.unescapeRecord(messages)});
+    }
+
+    /**
+     * Counts the unread messages in a user's mailbox.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @returns {number}
+     */
+    getUnreadCount(userId) {
+        return this.getMessages(userId).filter((message) => !message.read).length;
+    }
+
+    /**
+     * Delivers a message to a user's mailbox.
+     *
+     * @param {Object} sender - The sending user.
+     * @param {string} recipientId - The ID of the recipient.
+     * @param {string} body - The message text.
+     * @returns {Object} - The delivered message.
+     * @throws {Error} If the recipient's mailbox is full.
+     */
+    sendMail(sender, recipientId, body) {
+        const messages = this.getMessages(recipientId);
+
+        if (messages.length >= this.sizeLimit) {
+            throw new Error("Their mailbox is full.");
+        }
+
+        const message = {
+            id: uuid.v4(),
+            from: {id: sender.id, firstName: sender.firstName, lastName: sender.lastName},
+            sentAt: new Date().toISOString(),
+            body,
+            read: false,
+        };
+
+        messages.push(message);
+        this.saveMessages(recipientId, messages);
+
+        return message;
+    }
+
+    /**
+     * Gets a message by its number in the mailbox and marks it as read.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @param {number} number - The message number, starting at 1.
+     * @returns {Object|null} - The message, or null if there is no message with that number.
+     */
+    readMail(userId, number) {
+        const messages = this.getMessages(userId);
+        const message = messages[number - 1];
+
+        if (!message) {
+            return null;
+        }
+
+        if (!message.read) {
+            message.read = true;
+            this.saveMessages(userId, messages);
+        }
+
+        return message;
+    }
+
+    /**
+     * Deletes a message by its number in the mailbox.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @param {number} number - The message number, starting at 1.
+     * @returns {boolean} - False if there is no message with that number.
+     */
+    deleteMail(userId, number) {
+        const messages = this.getMessages(userId);
+
+        if (!messages[number - 1]) {
+            return false;
+        }
+
+        messages.splice(number - 1, 1);
+        this.saveMessages(userId, messages);
+        return true;
+    }
+
+    /**
+     * Deletes every message in a mailbox.
+     *
+     * @param {string} userId - The ID of the mailbox owner.
+     * @returns {number} - The number of deleted messages.
+     */
+    clearMail(userId) {
+        const count = this.getMessages(userId).length;
+        storage.delete("mail", userId);
+        return count;
+    }
+}
+
+const mailManager = new MailManager();
+module.exports = mailManager;
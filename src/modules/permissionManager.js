@@ -0,0 +1,157 @@
+/**
+ * PermissionManager is the central access control model. Roles are defined in
+ * db/roles.json, each with a set of capability flags and an optional parent role
+ * it inherits from. Commands declare the capability they need in their module
+ * export, and CommandHandler asks this manager before executing them.
+ *
+ * A command's `capability` can be a single capability string, or an object mapping
+ * aliases to capabilities with a `default` entry for the remaining aliases.
+ * The special capability `*` grants everything, a flag set to false revokes an
+ * inherited capability.
+ *
+ * @module PermissionManager
+ */
+const fs = require("fs");
+const path = require("path");
+const _ = require("lodash");
+const Base = require("./base");
+
+class PermissionManager extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+
+        this.roles = {};
+        this.loadRoles();
+    }
+
+    /**
+     * Loads the role definitions from roles.json.
+     */
+    loadRoles() {
+        const filePath = path.join(`${process.cwd()}/${process.env.DB_PATH}/`, "roles.json");
+
+        try {
+            this.roles = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (error) {
+            this.logWarn(`Failed to load roles from ${filePath}: ${error.message}`);
+            this.roles = {};
+        }
+    }
+
+    /**
+     * Resolves all capability flags of a role, including the ones inherited from its parents.
+     * Flags of a role override the flags it inherits.
+     *
+     * @param {string} roleName - The name of the role.
+     * @returns {Object} - Capability names mapped to true or false.
+     */
+    getCapabilities(roleName) {
+        return this.getRoleChain(roleName).reverse().reduce((capabilities, name) => ({...capabilities, ...this.roles[name].capabilities}), {});
+    }
+
+    /**
+     * Gets a role followed by every role it inherits from, nearest first.
+     *
+     * @param {string} roleName - The name of the role.
+     * @returns {string[]} - The role names.
+     */
+    getRoleChain(roleName) {
+        const chain = [];
+        let current = roleName;
+
+        // Walk up the inheritance chain, guarding against loops
+        while (current && this.roles[current] && !chain.includes(current)) {
+            chain.push(current);
+            current = this.roles[current].inherits;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Checks whether a user has a role, either directly or because their role inherits from it.
+     *
+     * @param {Object} user - The user to check.
+     * @param {string} roleName - The minimum role.
+     * @returns {boolean} - True if the user has the role or a role built on it.
+     */
+    hasRole(user, roleName) {
+        if (!roleName) {
+            return true;
+        }
+
+        return this.getRoleChain(user.role).includes(roleName);
+    }
+
+    /**
+     * Checks whether a user's role grants a capability.
+     *
+     * @param {Object} user - The user to check.
+     * @param {string} capability - The capability to check for.
+     * @returns {boolean} - True if the capability is granted.
+     */
+    hasCapability(user, capability) {
+        if (!capability) {
+            return true;
+        }
+
+        const capabilities = this.getCapabilities(user.role);
+
+        if (_.has(capabilities, capability)) {
+            return capabilities[capability] === true;
+        }
+
+        return capabilities["*"] === true;
+    }
+
+    /**
+     * Gets the capability a command requires when used through a given name or alias.
+     *
+     * @param {Object} command - The command module.
+     * @param {string} [commandName] - The name or alias the command was used with.
+     * @returns {string|null} - The required capability, or null if the command is open to everyone.
+     */
+    getRequiredCapability(command, commandName) {
+        if (!command.capability) {
+            return null;
+        }
+
+        if (typeof command.capability === "string") {
+            return command.capability;
+        }
+
+        return command.capability[commandName] || command.capability.default || null;
+    }
+
+    /**
+     * Checks whether a user may run a command through a given name or alias.
+     *
+     * @param {Object} user - The user to check.
+     * @param {Object} command - The command module.
+     * @param {string} [commandName] - The name or alias used, defaults to the command name.
+     * @returns {boolean} - True if the user may run the command.
+     */
+    canRunCommand(user, command, commandName = command.name) {
+        return this.hasCapability(user, this.getRequiredCapability(command, commandName));
+    }
+
+    /**
+     * Builds the message shown when a command is denied.
+     *
+     * @param {Object} user - The user that was denied.
+     * @param {string} commandName - The name or alias that was used.
+     * @returns {string} - The denial message.
+     */
+    getDenialMessage(user, commandName) {
+        let message = `You do not have permission to use [c:${commandName}].`;
+
+        if (user.temporary) {
+            message += " Please use [c:user create] to create an account.";
+        }
+
+        return message;
+    }
+}
+
+const permissionManager = new PermissionManager();
+module.exports = permissionManager;
@@ -5,17 +5,36 @@
  *
  * @module RoomManager
  */
-const fs = require("fs");
-const path = require("path");
+const _ = require("lodash");
 const Room = require("../models/room");
 const Base = require("./base");
+const storage = require("./storage");
+
+// Highest room ID a zone can hold, room keys are padded to three digits
+const MAX_ROOM_ID = 999;
+
+// Every direction an exit can have, mapped to the direction leading back
+const OPPOSITE_DIRECTIONS = {
+    north: "south",
+    south: "north",
+    east: "west",
+    west: "east",
+    up: "down",
+    down: "up",
+    northeast: "southwest",
+    northwest: "southeast",
+    southeast: "northwest",
+    southwest: "northeast",
+};
+
+// Door fields kept the same on both sides of a door
+const SHARED_DOOR_KEYS = ["name", "closed", "locked", "key"];
 
 class RoomManager extends Base {
-    constructor(params) {
+    constructor() {
         super(); // Call the constructor of the base class
 
         this.rooms = new Map();
-        this.roomPath = params.roomPath;
     }
 
     /**
@@ -34,7 +53,7 @@ class RoomManager extends Base {
 
     /**
      * Loads a room specified by zone ID and room ID.
-     * Checks if room is already loaded and if not, reads the room data from file system.
+     * Checks if room is already loaded and if not, reads the room data from storage.
      *
      * @param {number} zoneId - Zone ID.
      * @param {number} roomId - Room ID.
@@ -53,13 +72,11 @@ class RoomManager extends Base {
                 return false;
             }
 
-            const filename = this.getRoomFilename(zoneId, roomId);
-            const filePath = path.join(this.roomPath, filename);
-
-            // Delete the previous cache before requiring the file.
-            delete require.cache[require.resolve(filePath)];
+            const roomData = storage.get("rooms", roomKey);
+            if (!roomData) {
+                return false;
+            }
 
-            const roomData = require(filePath);
             const room = new Room(roomData);
 
             // Add the loaded room to the map
@@ -74,7 +91,7 @@ class RoomManager extends Base {
 
     /**
      * Checks the existence of a room specified by zone ID and room ID.
-     * First, checks in the room Map and then in the file system if room
+     * First, checks in the room Map and then in storage if room
      * was not found in the Map.
      *
      * @param {number} zoneId - Zone ID.
@@ -90,9 +107,8 @@ class RoomManager extends Base {
             return true;
         }
 
-        // If room is not loaded, check if it exists on the file system
-        const roomFilePath = `${this.roomPath}/${roomKey}.json`;
-        if (fs.existsSync(roomFilePath)) {
+        // If room is not loaded, check if it exists in storage
+        if (storage.exists("rooms", roomKey)) {
             return true;
         }
 
@@ -101,14 +117,192 @@ class RoomManager extends Base {
     }
 
     /**
-     * Get the filename of the room file based on zone ID and room ID.
+     * Saves a room to storage and keeps the loaded copy in the Map,
+     * so changes are seen right away by everyone in the room.
+     *
+     * @param {Room} room - The room to save.
+     * @returns {boolean} - Result of the operation, returns false if the room could not be written.
+     */
+    saveRoom(room) {
+        const roomKey = this.getRoomKey(room.zoneId, room.roomId);
+
+        try {
+            storage.put("rooms", roomKey, room);
+            this.rooms.set(roomKey, room);
+            return true;
+        } catch (error) {
+            this.logError(`Error saving room ${roomKey}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Creates a new room and saves it.
+     *
+     * @param {Object} roomData - Data to initialize the room with, including zoneId and roomId.
+     * @returns {Room|boolean} - The created room or false if it could not be saved.
+     */
+    createRoom(roomData) {
+        const room = new Room(roomData);
+        return this.saveRoom(room) ? room : false;
+    }
+
+    /**
+     * Finds the lowest room ID not yet used in a zone.
      *
      * @param {number} zoneId - Zone ID.
-     * @param {number} roomId - Room ID.
-     * @returns {string} - Room filename.
+     * @returns {?number} - The free room ID or null if the zone is full.
+     */
+    getNextRoomId(zoneId) {
+        for (let roomId = 0; roomId <= MAX_ROOM_ID; roomId++) {
+            if (!this.exists(zoneId, roomId)) {
+                return roomId;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds a prop in a room by its name or one of its synonyms, ignoring case.
+     *
+     * @param {Room} room - The room to search.
+     * @param {string} name - Name or synonym of the prop.
+     * @returns {?Object} - The prop with its `name` added, or null if the room has no such prop.
+     */
+    findProp(room, name) {
+        const search = String(name || "").trim().toLowerCase();
+        const entry = Object.entries((room && room.props) || {}).find(([propName, prop]) => propName.toLowerCase() === search || (prop.synonyms || []).includes(search));
+
+        return entry ? {...entry[1], name: entry[0]} : null;
+    }
+
+    /**
+     * Lists every name props in a room can be found by, longest first so
+     * "oak tree" is matched before "tree".
+     *
+     * @param {Room} room - The room to list the prop names of.
+     * @returns {string[]} - Prop names and synonyms.
+     */
+    getPropNames(room) {
+        return Object.entries((room && room.props) || {})
+            .flatMap(([propName, prop]) => [propName, ...(prop.synonyms || [])])
+            .sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Gets the direction leading back through an exit.
+     *
+     * @param {string} direction - A full direction name, e.g. "north".
+     * @returns {string} - The opposite direction, or an empty string for an unknown direction.
+     */
+    getOppositeDirection(direction) {
+        return OPPOSITE_DIRECTIONS[direction] || "";
+    }
+
+    /**
+     * Gets an exit of a room. Exits are stored either as the key of the room they lead to,
+     * or as an object with that key in `to` and the state of a door:
+     * - `name`: What the door is called, e.g. "oak door".
+     * - `closed` / `locked`: Whether the door is closed, and locked.
+     * - `key`: ID of the item that locks and unlocks the door.
+     * - `hidden`: Leave the exit out of the exit list.
+     * - `oneWay`: Do not keep the door on the other side in sync.
+     *
+     * @param {Room} room - The room.
+     * @param {string} direction - A full direction name.
+     * @returns {?Object} - The exit with its `direction`, or null if the room has no such exit.
+     */
+    getExit(room, direction) {
+        const exit = room && room.exits[direction];
+
+        if (!exit) {
+            return null;
+        }
+
+        return {direction, ...(typeof exit === "string" ? {to: exit} : exit)};
+    }
+
+    /**
+     * Gets every exit of a room.
+     *
+     * @param {Room} room - The room.
+     * @returns {Object[]} - The exits, see getExit.
+     */
+    getExits(room) {
+        return Object.keys((room && room.exits) || {}).map((direction) => this.getExit(room, direction));
+    }
+
+    /**
+     * Finds an exit with a door by its direction or the name of its door.
+     *
+     * @param {Room} room - The room.
+     * @param {string} text - A full direction name or door name, in any case.
+     * @returns {?Object} - The exit, see getExit, or null if no door matches.
+     */
+    findDoor(room, text) {
+        const search = String(text || "").trim().toLowerCase();
+
+        return this.getExits(room).find((exit) => exit.name && (exit.direction === search || exit.name.toLowerCase() === search)) || null;
+    }
+
+    /**
+     * Gets the exit leading back through an exit, if the room it leads to has one.
+     *
+     * @param {Room} room - The room the exit is in.
+     * @param {string} direction - The direction of the exit.
+     * @returns {?Object} - The room on the other side and the exit back, as `{room, exit}`, or null.
+     */
+    getOtherSide(room, direction) {
+        const exit = this.getExit(room, direction);
+        const otherRoom = exit && this.loadRoom(...exit.to.split(":"));
+        const exitBack = otherRoom && this.getExit(otherRoom, this.getOppositeDirection(direction));
+
+        if (!exitBack || exitBack.to !== this.getRoomKey(room.zoneId, room.roomId)) {
+            return null;
+        }
+
+        return {room: otherRoom, exit: exitBack};
+    }
+
+    /**
+     * Changes an exit and saves the room. Changes to the door are made to the door on
+     * the other side as well, unless the exit is one way.
+     *
+     * @param {Room} room - The room the exit is in.
+     * @param {string} direction - The direction of the exit.
+     * @param {Object} changes - The exit fields to change, see getExit.
+     * @returns {boolean} - Result of the operation, returns false if there is no such exit.
+     */
+    updateExit(room, direction, changes) {
+        const exit = this.getExit(room, direction);
+        if (!exit) {
+            return false;
+        }
+
+        const otherSide = !exit.oneWay && this.getOtherSide(room, direction);
+        const sharedChanges = _.pick(changes, SHARED_DOOR_KEYS);
+
+        room.exits[direction] = this.packExit({...exit, ...changes});
+        this.saveRoom(room);
+
+        if (otherSide && !_.isEmpty(sharedChanges)) {
+            otherSide.room.exits[otherSide.exit.direction] = this.packExit({...otherSide.exit, ...sharedChanges});
+            this.saveRoom(otherSide.room);
+        }
+
+        return true;
+    }
+
+    /**
+     * Turns an exit back into what is stored in the room, plain text when it has no door.
+     *
+     * @param {Object} exit - The exit, see getExit.
+     * @returns {string|Object}
      */
-    getRoomFilename(zoneId, roomId) {
-        return `${this.getRoomKey(zoneId, roomId)}.json`;
+    packExit(exit) {
+        const door = _.omitBy(_.omit(exit, ["direction", "to"]), (value) => value === false || value === null || value === undefined || value === "");
+        return _.isEmpty(door) ? exit.to : {to: exit.to, ...door};
     }
 
     /**
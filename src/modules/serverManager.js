@@ -0,0 +1,170 @@
+/**
+ * ServerManager keeps track of the running listeners (telnet, TLS, web gateway) and
+ * the managers holding unsaved state, so the server can be shut down gracefully:
+ * players are warned, every user and item is saved, connections are closed and the
+ * listeners stop accepting new clients before the process exits.
+ *
+ * @module ServerManager
+ */
+const _ = require("lodash");
+const Base = require("./base");
+const userManager = require("./userManager");
+
+// Seconds before shutdown at which players are warned
+const WARNING_TIMES = [600, 300, 120, 60, 30, 10, 5];
+
+class ServerManager extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+
+        this.listeners = [];
+        this.itemManager = null;
+        this.shutdownTimers = [];
+        this.shutdownAt = null;
+    }
+
+    /**
+     * Registers a listener that has to be closed on shutdown.
+     *
+     * @param {Object} listener - Anything with a `close(callback)` method, e.g. a net.Server.
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Registers the item manager whose loaded items are saved on shutdown.
+     *
+     * @param {Object} itemManager - The ItemManager instance.
+     */
+    setItemManager(itemManager) {
+        this.itemManager = itemManager;
+    }
+
+    /**
+     * Checks whether a shutdown is scheduled.
+     *
+     * @returns {boolean}
+     */
+    isShutdownScheduled() {
+        return this.shutdownAt !== null;
+    }
+
+    /**
+     * Schedules a shutdown and warns players ahead of it.
+     *
+     * @param {number} delay - Seconds until the shutdown, 0 shuts down immediately.
+     * @param {string} [reason] - Reason shown to the players.
+     */
+    scheduleShutdown(delay, reason = "") {
+        this.cancelShutdown(false);
+        this.shutdownAt = Date.now() + delay * 1000;
+
+        const reasonSuffix = reason ? ` Reason: ${reason}` : "";
+
+        if (delay > 0) {
+            userManager.broadcast(`<red>The server will shut down in ${this.formatDelay(delay)}.${reasonSuffix}<reset>`);
+        }
+
+        WARNING_TIMES.filter((time) => time < delay).forEach((time) => {
+            this.shutdownTimers.push(setTimeout(() => {
+                userManager.broadcast(`<red>The server will shut down in ${this.formatDelay(time)}.${reasonSuffix}<reset>`);
+            }, (delay - time) * 1000));
+        });
+
+        this.shutdownTimers.push(setTimeout(() => this.shutdown(reason), delay * 1000));
+        this.logInfo("Shutdown scheduled", {delay, reason});
+    }
+
+    /**
+     * Cancels a scheduled shutdown.
+     *
+     * @param {boolean} [announce=true] - Whether to tell the players.
+     * @returns {boolean} - False if no shutdown was scheduled.
+     */
+    cancelShutdown(announce = true) {
+        if (!this.isShutdownScheduled()) {
+            return false;
+        }
+
+        this.shutdownTimers.forEach((timer) => clearTimeout(timer));
+        this.shutdownTimers = [];
+        this.shutdownAt = null;
+
+        if (announce) {
+            userManager.broadcast("<green>The scheduled shutdown has been cancelled.<reset>");
+            this.logInfo("Shutdown cancelled");
+        }
+        return true;
+    }
+
+    /**
+     * Saves all users and items, disconnects every client, closes the listeners and exits.
+     *
+     * @param {string} [reason] - Reason shown to the players.
+     */
+    shutdown(reason = "") {
+        this.logInfo("Server shutting down", {reason});
+        userManager.broadcast(`<red>The server is shutting down now.${reason ? ` Reason: ${reason}` : ""}<reset>`);
+
+        // Save every connected user
+        _.forEach([...userManager.users], (user) => {
+            try {
+                userManager.save(user);
+            } catch (error) {
+                this.logWarn(`Failed to save user ${user.id}: ${error.message}`);
+            }
+        });
+
+        // Save every loaded item
+        if (this.itemManager) {
+            this.itemManager.items.forEach((item) => {
+                try {
+                    this.itemManager.saveItem(item);
+                } catch (error) {
+                    this.logWarn(`Failed to save item ${item.id}: ${error.message}`);
+                }
+            });
+        }
+
+        // Disconnect every client
+        _.forEach([...userManager.users], (user) => {
+            if (user.client) {
+                user.client.end();
+            }
+        });
+
+        // Stop accepting connections and exit once every listener is closed
+        let pending = this.listeners.length;
+        const done = () => {
+            pending--;
+            if (pending <= 0) {
+                process.exit(0);
+            }
+        };
+
+        if (!pending) {
+            process.exit(0);
+        }
+        this.listeners.forEach((listener) => listener.close(done));
+
+        // Do not wait forever on connections that refuse to close
+        setTimeout(() => process.exit(0), 5000).unref();
+    }
+
+    /**
+     * Formats a number of seconds as a readable delay.
+     *
+     * @param {number} seconds - The delay in seconds.
+     * @returns {string} - E.g. "2 minutes" or "30 seconds".
+     */
+    formatDelay(seconds) {
+        if (seconds >= 60 && seconds % 60 === 0) {
+            return `${seconds / 60} minute${seconds === 60 ? "" : "s"}`;
+        }
+        return `${seconds} second${seconds === 1 ? "" : "s"}`;
+    }
+}
+
+const serverManager = new ServerManager();
+module.exports = serverManager;
@@ -0,0 +1,113 @@
+/**
+ * SqliteStorageAdapter stores every collection as a table in an embedded SQLite database
+ * (SQLITE_PATH, default db/talker.sqlite). Each row holds the record ID and the record as
+ * JSON, queries match fields with json_extract, and the fields managers look items and
+ * users up by are indexed.
+ *
+ * @module SqliteStorageAdapter
+ */
+const path = require("path");
+const Database = require("better-sqlite3");
+const StorageAdapter = require("./storageAdapter");
+
+// Fields that get an expression index when their collection's table is created
+const INDEXED_FIELDS = {
+    items: ["owner", "location", "container", "type"],
+    users: ["firstName", "lastName"],
+};
+
+class SqliteStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [params]
+     * @param {string} [params.filename] - The database file, defaults to SQLITE_PATH.
+     */
+    constructor(params = {}) {
+        super(); // Call the constructor of the base class
+
+        const filename = params.filename || process.env.SQLITE_PATH || path.join(process.env.DB_PATH, "talker.sqlite");
+
+        this.db = new Database(path.resolve(process.cwd(), filename));
+        this.db.pragma("journal_mode = WAL"); // Crash-safe writes without blocking readers
+        this.tables = new Set();
+    }
+
+    /**
+     * Creates the table of a collection if needed and returns its quoted name.
+     *
+     * @param {string} collection - The collection name.
+     * @returns {string} - The quoted table name.
+     */
+    table(collection) {
+        if (!/^[a-z_]+$/i.test(collection)) {
+            throw new Error(`Invalid collection name "${collection}".`);
+        }
+
+        const table = `"${collection}"`;
+
+        if (!this.tables.has(collection)) {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+            (INDEXED_FIELDS[collection] || []).forEach((field) => {
+                this.db.exec(`CREATE INDEX IF NOT EXISTS "${collection}_${field}" ON ${table} (json_extract(data, '$.${field}'))`);
+            });
+            this.tables.add(collection);
+        }
+
+        return table;
+    }
+
+    get(collection, id) {
+        const row = this.db.prepare(`SELECT data FROM ${this.table(collection)} WHERE id = ?`).get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    put(collection, id, data) {
+        this.db.prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`)
+            .run(String(id), JSON.stringify(data));
+    }
+
+    delete(collection, id) {
+        return this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`).run(String(id)).changes > 0;
+    }
+
+    query(collection, criteria = {}) {
+        const conditions = [];
+        const values = [];
+
+        Object.keys(criteria).forEach((field) => {
+            if (!/^[a-z_][a-z0-9_]*$/i.test(field)) {
+                throw new Error(`Invalid field name "${field}".`);
+            }
+
+            const value = criteria[field];
+            if (value === null || value === undefined) {
+                conditions.push(`json_extract(data, '$.${field}') IS NULL`);
+            } else {
+                // JSON booleans come out of json_extract as 1 and 0
+                conditions.push(`json_extract(data, '$.${field}') = ?`);
+                values.push(typeof value === "boolean" ? Number(value) : value);
+            }
+        });
+
+        const where = conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+        const rows = this.db.prepare(`SELECT id, data FROM ${this.table(collection)}${where}`).all(...values);
+
+        // Double check in JavaScript, SQLite compares 1 and true or "1" and 1 more loosely
+        return rows
+            .map((row) => ({id: row.id, data: JSON.parse(row.data)}))
+            .filter((record) => this.matches(record.data, criteria));
+    }
+
+    list(collection) {
+        return this.db.prepare(`SELECT id FROM ${this.table(collection)}`).all().map((row) => row.id);
+    }
+
+    exists(collection, id) {
+        return Boolean(this.db.prepare(`SELECT 1 FROM ${this.table(collection)} WHERE id = ?`).get(String(id)));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorageAdapter;
@@ -0,0 +1,10 @@
+/**
+ * The storage adapter selected by STORAGE_ADAPTER ("json" by default, or "sqlite"),
+ * shared by all managers.
+ *
+ * @module Storage
+ */
+const StorageAdapter = require("./storageAdapter");
+
+const storage = StorageAdapter.create(process.env.STORAGE_ADAPTER || "json");
+module.exports = storage;
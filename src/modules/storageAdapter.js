@@ -0,0 +1,125 @@
+/**
+ * StorageAdapter describes the interface every storage backend implements. UserManager,
+ * RoomManager and ItemManager only talk to storage through these methods, so the backend
+ * can be swapped through the STORAGE_ADAPTER environment variable.
+ *
+ * Records are plain objects stored in named collections ("users", "rooms", "items", ...)
+ * under a string ID, e.g. a user's uuid or a room key like "000:000".
+ *
+ * @module StorageAdapter
+ */
+const Base = require("./base");
+
+// Adapters are required on use, so the SQLite module is only loaded when it is selected
+const ADAPTERS = {
+    json: () => require("./jsonStorageAdapter"),
+    sqlite: () => require("./sqliteStorageAdapter"),
+};
+
+class StorageAdapter extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+    }
+
+    /**
+     * Creates a storage adapter by name.
+     *
+     * @param {string} name - The adapter name, "json" or "sqlite".
+     * @param {Object} [params] - Options passed on to the adapter's constructor.
+     * @returns {StorageAdapter} - The adapter.
+     * @throws {Error} If there is no adapter with that name.
+     */
+    static create(name, params = {}) {
+        const loadAdapter = ADAPTERS[name];
+        if (!loadAdapter) {
+            throw new Error(`Unknown storage adapter "${name}", use one of: ${Object.keys(ADAPTERS).join(", ")}.`);
+        }
+
+        const Adapter = loadAdapter();
+        return new Adapter(params);
+    }
+
+    /**
+     * Gets a record.
+     *
+     * @param {string} collection - The collection name.
+     * @param {string} id - The record ID.
+     * @returns {Object|null} - The record, or null if it does not exist.
+     */
+    get(collection, id) {
+        throw new Error(`${this.constructor.name} does not implement get.`);
+    }
+
+    /**
+     * Creates or replaces a record.
+     *
+     * @param {string} collection - The collection name.
+     * @param {string} id - The record ID.
+     * @param {Object} data - The record.
+     */
+    put(collection, id, data) {
+        throw new Error(`${this.constructor.name} does not implement put.`);
+    }
+
+    /**
+     * Deletes a record.
+     *
+     * @param {string} collection - The collection name.
+     * @param {string} id - The record ID.
+     * @returns {boolean} - False if the record did not exist.
+     */
+    delete(collection, id) {
+        throw new Error(`${this.constructor.name} does not implement delete.`);
+    }
+
+    /**
+     * Finds the records whose fields equal all given values.
+     *
+     * @param {string} collection - The collection name.
+     * @param {Object} [criteria] - Field names mapped to the values they have to equal, empty returns every record.
+     * @returns {Array} - Objects with the record `id` and its `data`.
+     */
+    query(collection, criteria = {}) {
+        throw new Error(`${this.constructor.name} does not implement query.`);
+    }
+
+    /**
+     * Lists the IDs of all records in a collection.
+     *
+     * @param {string} collection - The collection name.
+     * @returns {Array} - The record IDs.
+     */
+    list(collection) {
+        throw new Error(`${this.constructor.name} does not implement list.`);
+    }
+
+    /**
+     * Checks whether a record exists.
+     *
+     * @param {string} collection - The collection name.
+     * @param {string} id - The record ID.
+     * @returns {boolean}
+     */
+    exists(collection, id) {
+        return this.get(collection, id) !== null;
+    }
+
+    /**
+     * Releases the backend, e.g. closes a database connection.
+     */
+    close() {
+    }
+
+    /**
+     * Checks whether a record matches query criteria, for adapters that filter in memory.
+     *
+     * @param {Object} data - The record.
+     * @param {Object} criteria - Field names mapped to the values they have to equal.
+     * @returns {boolean}
+     */
+    matches(data, criteria) {
+        return Object.keys(criteria).every((key) => data[key] === criteria[key]);
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,326 @@
+/**
+ * The TelnetHandler class sits between a raw client socket and the ClientHandler.
+ * It strips telnet IAC sequences out of incoming data, answers option negotiation
+ * (TTYPE/MTTS, NAWS, ECHO and SGA) and reports what it learns about the client's
+ * terminal through its eventEmitter. Clients that are not telnet connections provide
+ * a `capabilities` object and an optional `setEcho` method instead.
+ *
+ * Events:
+ * - `negotiated`: Emitted once, when terminal type negotiation finished or timed out.
+ * - `resize`: Emitted every time the client reports a new window size (NAWS).
+ *
+ * @module TelnetHandler
+ */
+const events = require("events");
+
+// Telnet commands
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+
+// Telnet options
+const ECHO = 1;
+const SGA = 3;
+const TTYPE = 24;
+const NAWS = 31;
+
+// TTYPE sub negotiation codes
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+
+// MTTS bit values, see https://tintin.mudhalla.net/protocols/mtts/
+const MTTS_ANSI = 1;
+const MTTS_UTF8 = 4;
+
+// Terminal types that are known to render ansi colors
+const COLOR_TERMINALS = /ANSI|XTERM|VT1\d\d|VT220|LINUX|SCREEN|TMUX|RXVT|PUTTY|COLOR|MUDLET|MUSHCLIENT|TINTIN|CMUD|ZMUD|BLOWTORCH|MUDRAMMER|KILDCLIENT|ATLANTIS|POTATO/;
+
+// Longest sub negotiation accepted, the answers we ask for are a few bytes long
+const MAX_SUBNEGOTIATION_LENGTH = 256;
+
+// Parser states
+const STATE_DATA = 0;
+const STATE_IAC = 1;
+const STATE_OPTION = 2;
+const STATE_SB = 3;
+const STATE_SB_IAC = 4;
+
+class TelnetHandler {
+    constructor(params) {
+        this.client = params.client;
+        this.timeout = params.timeout || 1000;
+        this.eventEmitter = new events.EventEmitter();
+
+        // Parser state, kept between data events as sequences can be split over packets
+        this.state = STATE_DATA;
+        this.command = null;
+        this.subnegotiation = [];
+
+        // Options enabled on our side (WILL) and on the client side (DO)
+        this.localOptions = new Set();
+        this.remoteOptions = new Set();
+
+        // Results of the negotiation
+        this.terminalTypes = [];
+        this.capabilities = {
+            terminalType: null,
+            supportsColor: undefined,
+            supportsHighAscii: undefined,
+            width: null,
+            height: null,
+        };
+        this.negotiated = false;
+    }
+
+    /**
+     * Starts the option negotiation with the client. If the client does not answer
+     * within the configured timeout the `negotiated` event is emitted with whatever is known.
+     */
+    start() {
+        // Clients that do not speak telnet (e.g. the WebSocket gateway) report their capabilities directly
+        if (this.client.capabilities) {
+            Object.assign(this.capabilities, this.client.capabilities);
+            this.client.on("resize", (size) => this.eventEmitter.emit("resize", size));
+            this.finishNegotiation();
+            return;
+        }
+
+        this.sendCommand(DO, TTYPE);
+        this.sendCommand(DO, NAWS);
+        this.sendCommand(WILL, SGA);
+        this.localOptions.add(SGA);
+
+        this.timer = setTimeout(() => this.finishNegotiation(), this.timeout);
+    }
+
+    /**
+     * Parses incoming data, handles any telnet sequences found in it and returns the remaining plain data.
+     *
+     * @param {Buffer|string} data - Raw data received from the client.
+     * @returns {Buffer} - The data with all telnet sequences removed.
+     */
+    parse(data) {
+        const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const output = [];
+
+        for (const byte of bytes) {
+            switch (this.state) {
+                case STATE_DATA:
+                    if (byte === IAC) {
+                        this.state = STATE_IAC;
+                    } else {
+                        output.push(byte);
+                    }
+                    break;
+                case STATE_IAC:
+                    if (byte === IAC) {
+                        // Escaped 255 data byte
+                        output.push(byte);
+                        this.state = STATE_DATA;
+                    } else if ([WILL, WONT, DO, DONT].includes(byte)) {
+                        this.command = byte;
+                        this.state = STATE_OPTION;
+                    } else if (byte === SB) {
+                        this.subnegotiation = [];
+                        this.state = STATE_SB;
+                    } else {
+                        // Other two byte commands (NOP, GA, AYT, ...) are ignored
+                        this.state = STATE_DATA;
+                    }
+                    break;
+                case STATE_OPTION:
+                    this.handleNegotiation(this.command, byte);
+                    this.state = STATE_DATA;
+                    break;
+                case STATE_SB:
+                    if (byte === IAC) {
+                        this.state = STATE_SB_IAC;
+                    } else if (this.subnegotiation.length >= MAX_SUBNEGOTIATION_LENGTH) {
+                        // Drop sub negotiations that never end instead of buffering them
+                        this.subnegotiation = [];
+                        this.state = STATE_DATA;
+                    } else {
+                        this.subnegotiation.push(byte);
+                    }
+                    break;
+                case STATE_SB_IAC:
+                    if (byte === SE) {
+                        this.handleSubnegotiation(this.subnegotiation);
+                        this.state = STATE_DATA;
+                    } else {
+                        // IAC IAC inside a sub negotiation is an escaped 255
+                        this.subnegotiation.push(byte);
+                        this.state = STATE_SB;
+                    }
+                    break;
+            }
+        }
+
+        return Buffer.from(output);
+    }
+
+    /**
+     * Answers a WILL, WONT, DO or DONT received from the client.
+     * Only state changes are answered to avoid negotiation loops.
+     *
+     * @param {number} command - The received telnet command.
+     * @param {number} option - The option the command applies to.
+     */
+    handleNegotiation(command, option) {
+        switch (command) {
+            case WILL:
+                if (option === TTYPE) {
+                    this.remoteOptions.add(TTYPE);
+                    this.requestTerminalType();
+                } else if (option === NAWS) {
+                    this.remoteOptions.add(NAWS);
+                } else {
+                    this.sendCommand(DONT, option);
+                }
+                break;
+            case WONT:
+                this.remoteOptions.delete(option);
+                if (option === TTYPE) {
+                    this.finishNegotiation();
+                }
+                break;
+            case DO:
+                if (option === SGA || (option === ECHO && this.echoRequested)) {
+                    if (!this.localOptions.has(option)) {
+                        this.localOptions.add(option);
+                        this.sendCommand(WILL, option);
+                    }
+                } else {
+                    this.localOptions.delete(option);
+                    this.sendCommand(WONT, option);
+                }
+                break;
+            case DONT:
+                if (this.localOptions.has(option)) {
+                    this.localOptions.delete(option);
+                    this.sendCommand(WONT, option);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Handles a completed sub negotiation (the bytes between IAC SB and IAC SE).
+     *
+     * @param {number[]} bytes - The sub negotiation bytes, starting with the option.
+     */
+    handleSubnegotiation(bytes) {
+        const [option, ...payload] = bytes;
+
+        if (option === TTYPE && payload[0] === TTYPE_IS) {
+            this.handleTerminalType(Buffer.from(payload.slice(1)).toString().toUpperCase());
+        } else if (option === NAWS && payload.length >= 4) {
+            this.capabilities.width = (payload[0] << 8) + payload[1];
+            this.capabilities.height = (payload[2] << 8) + payload[3];
+            this.eventEmitter.emit("resize", {width: this.capabilities.width, height: this.capabilities.height});
+        }
+    }
+
+    /**
+     * Handles one terminal type answer. MTTS clients cycle through client name,
+     * terminal type and "MTTS <bitvector>", so we keep asking until the answer
+     * repeats, an MTTS value arrives or three answers were received.
+     *
+     * @param {string} terminalType - The terminal type reported by the client.
+     */
+    handleTerminalType(terminalType) {
+        const lastType = this.terminalTypes[this.terminalTypes.length - 1];
+        this.terminalTypes.push(terminalType);
+
+        const mtts = terminalType.match(/^MTTS (\d+)$/);
+        if (mtts) {
+            const bitvector = parseInt(mtts[1], 10);
+            this.capabilities.supportsColor = (bitvector & MTTS_ANSI) === MTTS_ANSI;
+            this.capabilities.supportsHighAscii = (bitvector & MTTS_UTF8) === MTTS_UTF8;
+        } else if (terminalType !== lastType) {
+            this.capabilities.terminalType = this.capabilities.terminalType || terminalType;
+            if (COLOR_TERMINALS.test(terminalType)) {
+                this.capabilities.supportsColor = true;
+            }
+            if (/UTF-?8/.test(terminalType)) {
+                this.capabilities.supportsHighAscii = true;
+            }
+        }
+
+        if (mtts || terminalType === lastType || this.terminalTypes.length >= 3) {
+            this.finishNegotiation();
+        } else {
+            this.requestTerminalType();
+        }
+    }
+
+    /**
+     * Asks the client for its (next) terminal type.
+     */
+    requestTerminalType() {
+        this.write([IAC, SB, TTYPE, TTYPE_SEND, IAC, SE]);
+    }
+
+    /**
+     * Ends the negotiation phase and emits the `negotiated` event, only once.
+     */
+    finishNegotiation() {
+        if (this.negotiated) {
+            return;
+        }
+
+        this.negotiated = true;
+        clearTimeout(this.timer);
+        this.eventEmitter.emit("negotiated", {...this.capabilities});
+    }
+
+    /**
+     * Turns server side echo on or off. While enabled the client stops echoing typed
+     * characters locally, which is used to hide password entry.
+     *
+     * @param {boolean} enabled - True to suppress the client's local echo.
+     */
+    setEcho(enabled) {
+        if (typeof this.client.setEcho === "function") {
+            this.client.setEcho(enabled);
+            return;
+        }
+
+        this.echoRequested = enabled;
+
+        if (enabled && !this.localOptions.has(ECHO)) {
+            this.localOptions.add(ECHO);
+            this.sendCommand(WILL, ECHO);
+        } else if (!enabled && this.localOptions.has(ECHO)) {
+            this.localOptions.delete(ECHO);
+            this.sendCommand(WONT, ECHO);
+        }
+    }
+
+    /**
+     * Sends a three byte negotiation command to the client.
+     *
+     * @param {number} command - WILL, WONT, DO or DONT.
+     * @param {number} option - The option to negotiate.
+     */
+    sendCommand(command, option) {
+        this.write([IAC, command, option]);
+    }
+
+    /**
+     * Writes raw bytes to the client, if it is still writable.
+     *
+     * @param {number[]} bytes - The bytes to write.
+     */
+    write(bytes) {
+        if (this.client && !this.client.destroyed) {
+            this.client.write(Buffer.from(bytes));
+        }
+    }
+}
+
+module.exports = TelnetHandler;
@@ -7,22 +7,138 @@
  * @module UserManager
  */
 const Base = require("./base");
-const fs = require('fs');
-const path = require('path');
 const _ = require("lodash");
 const uuid = require("uuid");
 const crypto = require('crypto')
+const storage = require("./storage");
+const moment = require("moment");
+const permissionManager = require("./permissionManager");
+const mailManager = require("./mailManager");
+const zoneManager = require("./zoneManager");
+
+// Prompts players can pick with "config prompt" or by name with "prompt set", null sends no prompt
+const PROMPT_STYLES = {
+    full: "[b:? for help][p:%name] <red>:><reset> ",
+    short: "<red>:><reset> ",
+    none: null,
+};
+
+// User properties that only exist while connected and are never saved
+const RUNTIME_KEYS = ['client', 'eventEmitter', 'status', 'online', 'morphedName', 'morphedDescription', 'terminalType', 'terminalWidth', 'terminalHeight', 'supportsColor', 'supportsHighAscii', 'replyTo', 'pager', 'currentChannel'];
 
 class UserManager extends Base {
     constructor() {
         super(); // Call the constructor of the base class
 
         this.users = [];
-        this.log = null; // Initialize log to null
+        this.userIndex = null; // Loaded by loadIndex, see getIndexedUser
     }
 
     /**
-     * Creates and saves a new user object to the file system.
+     * Loads the user index from disk. The index is rebuilt from the user files if it
+     * is missing, can not be parsed, or does not list exactly the user files on disk.
+     * Called once on startup, lookups afterwards only use the in-memory index.
+     */
+    loadIndex() {
+        const userIds = this.getUserIds();
+
+        this.userIndex = storage.get('indexes', 'users');
+
+        // Stale if a user was added or removed without updating the index
+        const indexedIds = this.userIndex ? _.map(this.userIndex, 'id') : [];
+        if (!this.userIndex || indexedIds.length !== userIds.length || _.xor(indexedIds, userIds).length) {
+            this.logInfo("Rebuilding user index", {users: userIds.length});
+            this.rebuildIndex(userIds);
+        }
+    }
+
+    /**
+     * Rebuilds the user index by reading every user and saves it.
+     *
+     * @param {Array} [userIds] - The ids of the users, read from storage if not given.
+     */
+    rebuildIndex(userIds = this.getUserIds()) {
+        this.userIndex = {};
+
+        userIds.forEach((userId) => {
+            const existingUser = storage.get('users', userId);
+            if (!existingUser || !existingUser.firstName || !existingUser.lastName) {
+                this.logWarn(`Failed to index user ${userId}`);
+                return;
+            }
+
+            this.userIndex[this.getIndexKey(existingUser.firstName, existingUser.lastName)] = {
+                id: existingUser.id,
+                firstName: existingUser.firstName,
+                lastName: existingUser.lastName,
+            };
+        });
+
+        this.saveIndex();
+    }
+
+    /**
+     * Saves the user index.
+     */
+    saveIndex() {
+        storage.put('indexes', 'users', this.userIndex);
+    }
+
+    /**
+     * Lists the ids of all stored users.
+     *
+     * @returns {Array} - The user ids.
+     */
+    getUserIds() {
+        return storage.list('users');
+    }
+
+    /**
+     * Builds the case-insensitive index key for a name.
+     *
+     * @param {string} firstName - The first name.
+     * @param {string} lastName - The last name.
+     * @returns {string} - E.g. "ann smith".
+     */
+    getIndexKey(firstName, lastName) {
+        return `${_.trim(firstName)} ${_.trim(lastName)}`.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Looks up a registered user by name, whether they are online or not.
+     *
+     * @param {string} firstName - The first name, in any case.
+     * @param {string} lastName - The last name, in any case.
+     * @returns {?Object} - The index entry with `id`, `firstName` and `lastName`, or null.
+     */
+    getIndexedUser(firstName, lastName) {
+        if (!this.userIndex) {
+            this.loadIndex();
+        }
+
+        return this.userIndex[this.getIndexKey(firstName, lastName)] || null;
+    }
+
+    /**
+     * Adds or updates a user in the index and saves it.
+     *
+     * @param {Object} user - The user to index.
+     */
+    indexUser(user) {
+        if (!this.userIndex) {
+            this.loadIndex();
+        }
+
+        this.userIndex[this.getIndexKey(user.firstName, user.lastName)] = {
+            id: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+        };
+        this.saveIndex();
+    }
+
+    /**
+     * Creates and saves a new user object to storage.
      *
      * @param {Object} userInfo - The user object to save, without ID which will be created
      * @returns {Object} The saved user object
@@ -34,37 +150,28 @@ class UserManager extends Base {
             id: uuid.v4(),
         };
 
-        // Define the user directory path
-        const userDirPath = path.join(process.env.DB_PATH, 'users');
-
-        // Get the list of user files
-        const userFiles = fs.readdirSync(userDirPath);
-
-        // Check if a user file with the same ID already exists
-        if (userFiles.includes(`${user.id}.json`)) {
+        // Check if a user with the same ID already exists
+        if (storage.exists('users', user.id)) {
             throw new Error("User with this ID already exists.");
         }
 
-        // Check all user files and make sure no user has same first and last name
-        for (let file of userFiles) {
-            const existingUser = JSON.parse(fs.readFileSync(path.join(userDirPath, file), 'utf-8'));
-            if (existingUser.firstName === user.firstName && existingUser.lastName === user.lastName) {
-                throw new Error("User with this first and last name already exists.");
-            }
+        // Make sure no user has the same first and last name, regardless of case
+        if (this.getIndexedUser(user.firstName, user.lastName)) {
+            throw new Error("User with this first and last name already exists.");
         }
 
         // Omit specified properties from user object
-        const simplifiedUser = _.omit(user, ['client', 'eventEmitter', 'status', 'online', 'morphedName', 'morphedDescription']);
+        const simplifiedUser = _.omit(user, RUNTIME_KEYS);
 
         // Now all checks passed, save the simplified user
-        const filePath = path.join(userDirPath, `${simplifiedUser.id}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(simplifiedUser));
+        storage.put('users', simplifiedUser.id, this.unescapeRecord(simplifiedUser));
+        this.indexUser(simplifiedUser);
 
         return simplifiedUser;
     }
 
     /**
-     * Loads a user object from the file system.
+     * Loads a user object from storage.
      *
      * @param {String} userId - The ID of the user to load
      * @throws {Error} If no user with the specified ID exists
@@ -72,10 +179,10 @@ class UserManager extends Base {
      * @return {Object} The loaded user
      */
     load(userId) {
-        const filePath = path.join(process.env.DB_PATH, 'users', `${userId}.json`);
-        if (fs.existsSync(filePath)) {
-            const userData = fs.readFileSync(filePath);
-            this.user = JSON.parse(userData);
+        const userData = storage.get('users', userId);
+        if (userData) {
+            // Older records may still hold runtime properties, e.g. the color support of a past connection
+            this.user = this.escapeRecord(_.omit(userData, RUNTIME_KEYS));
             return this.user;
         } else {
             return false;
@@ -85,31 +192,30 @@ class UserManager extends Base {
     /**
      * Verify and load user.
      *
-     * @param {string} firstName - The first name of the user.
-     * @param {string} lastName - The last name of the user.
+     * @param {string} firstName - The first name of the user, in any case.
+     * @param {string} lastName - The last name of the user, in any case.
      * @param {string} password - The password of the user.
      * @throws {Error} If the provided first and last name do not match any existing user.
      * @throws {Error} If the provided password is incorrect.
      * @returns {object} The loaded user object.
      */
     verifyAndLoadUser(firstName, lastName, password) {
-        const userDirPath = path.join(process.env.DB_PATH, 'users');
-        const userFiles = fs.readdirSync(userDirPath);
-        for (let file of userFiles) {
-            const existingUser = JSON.parse(fs.readFileSync(path.join(userDirPath, file), 'utf-8'));
-            if (existingUser.firstName === firstName && existingUser.lastName === lastName) {
-                if (!this.checkPassword(password, existingUser.salt, existingUser.password)) {
-                    throw new Error('Incorrect password.');
-                } else {
-                    return this.load(existingUser.id);
-                }
-            }
+        const indexedUser = this.getIndexedUser(firstName, lastName);
+        const existingUser = indexedUser && this.load(indexedUser.id);
+
+        if (!existingUser) {
+            throw new Error('User with the provided first and last name does not exist.');
+        }
+
+        if (!this.checkPassword(password, existingUser.salt, existingUser.password)) {
+            throw new Error('Incorrect password.');
         }
-        throw new Error('User with the provided first and last name does not exist.');
+
+        return existingUser;
     }
 
     /**
-     * Saves a user object to the file system.
+     * Saves a user object to storage.
      *
      * @param {Object} user - The user object to save
      */
@@ -117,36 +223,55 @@ class UserManager extends Base {
 
         // Do not save if temporary is true
         if (user.temporary !== true) {
-            const filePath = path.join(process.env.DB_PATH, 'users', `${user.id}.json`);
-
-            // Check if user file already exists
-            if (fs.existsSync(filePath)) {
-                // If file exists, load its content and check first and last names
-                let existingUser = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-
+            // Check if the user was saved before
+            let existingUser = storage.get('users', user.id);
+            if (existingUser) {
                 // If first and last names don't match, throw an error
                 if (existingUser.firstName !== user.firstName || existingUser.lastName !== user.lastName) {
                     throw new Error("First and last name don't match with existing user data.");
                 }
             }
 
-            // Create simplified user object excluding 'client', 'eventEmitter', 'status', 'online'
-            const simplifiedUser = _.omit(user, ['client', 'eventEmitter', 'status', 'online', 'morphedName', 'morphedDescription']);
+            // Create simplified user object excluding the runtime properties
+            const simplifiedUser = _.omit(user, RUNTIME_KEYS);
+
+            storage.put('users', user.id, this.unescapeRecord(simplifiedUser));
+
+            // Index users that were saved without going through create
+            if (!this.getIndexedUser(user.firstName, user.lastName)) {
+                this.indexUser(simplifiedUser);
+            }
+        }
+    }
 
-            fs.writeFileSync(filePath, JSON.stringify(simplifiedUser));
+    /**
+     * Checks whether a user may enter a room. The zone's flags have to let the user
+     * in, and locked rooms only let in their owner, the users on their whitelist and staff.
+     *
+     * @param {Object} user - The user who wants to enter.
+     * @param {Room} room - The room to enter.
+     * @returns {boolean}
+     */
+    canEnter(user, room) {
+        if (!zoneManager.canEnter(user, room.zoneId)) {
+            return false;
         }
+
+        return !room.locked || room.owner === user.id || _.some(room.whitelist, {id: user.id}) || this.isStaff(user);
     }
 
     /**
      * Moves specified user(s) to a specified room. The room is loaded from the
      * RoomManager. If the room does not exist, an error message is send to users.
+     * Users who may not enter a locked room stay where they are, unless the move is forced.
      *
      * @param {string|Array} userIds - Array of user IDs or a single user ID string.
      * @param {number} zoneId - ID of the zone to move the user(s) in.
      * @param {number} roomId - ID of the room to move the user(s) in.
-     * @returns {boolean} - Whether the operation was successful.
+     * @param {boolean} [force=false] - Ignore the lock, for staff moves and logging in.
+     * @returns {boolean} - Whether the operation was successful for every user.
      */
-    moveUser(userIds, zoneId, roomId) {
+    moveUser(userIds, zoneId, roomId, force = false) {
         // Convert userId to an array if it's a string
         if (typeof userIds === "string") {
             userIds = [userIds];
@@ -156,21 +281,29 @@ class UserManager extends Base {
 
         if (!room) {
             // Handle error (room not found)
-            this.send([user.id], "Error: Room not found.");
+            this.send(userIds, "Error: Room not found.");
             return false;
         }
 
+        let moved = true;
+
         userIds.forEach((userId) => {
             // Get the user object using the userId
             const user = this.getUser({id: userId});
 
+            if (!force && !this.canEnter(user, room)) {
+                this.send(userId, zoneManager.canEnter(user, room.zoneId) ? `${room.name} is locked.` : `Only registered players can go into ${zoneManager.getZoneName(room.zoneId)}.`);
+                moved = false;
+                return;
+            }
+
             // Update user's zoneId and roomId
             user.zoneId = zoneId;
             user.roomId = roomId;
 
             user.eventEmitter.emit("user_move");
         });
-        return true;
+        return moved;
     }
 
     /**
@@ -202,6 +335,83 @@ class UserManager extends Base {
         return _.find(this.getOnlineUsers(), params);
     }
 
+    /**
+     * Finds users by name. Every word of the given name has to appear in the user's
+     * full name or morphed name, so "ann" or "smith ann" both match "Ann Smith".
+     *
+     * @param {string} name - The (partial) name to search for.
+     * @param {Array} [users] - The users to search, defaults to all active users.
+     * @returns {Array} - The matching users. An exact full or morphed name match is returned on its own.
+     */
+    findUsersByName(name, users = this.getActiveUsers()) {
+        const search = _.trim(name).toLowerCase();
+        if (!search) {
+            return [];
+        }
+
+        const nameParts = search.split(/\s+/);
+
+        const matches = users.filter((user) => {
+            const fullName = `${user.firstName} ${user.lastName}`.toLowerCase();
+            const morphedName = user.morphedName ? user.morphedName.toLowerCase() : "";
+
+            return nameParts.every((part) => fullName.includes(part)) || (morphedName && nameParts.every((part) => morphedName.includes(part)));
+        });
+
+        // Prefer an exact match, so "Ann Smith" is not ambiguous next to "Ann Smithson"
+        const exactMatches = matches.filter((user) => `${user.firstName} ${user.lastName}`.toLowerCase() === search || (user.morphedName && user.morphedName.toLowerCase() === search));
+
+        return exactMatches.length === 1 ? exactMatches : matches;
+    }
+
+    /**
+     * Finds players by name, online players first and otherwise the registered
+     * player with exactly that full name, whose saved record is loaded.
+     *
+     * @param {string} name - The name to search for.
+     * @returns {Object[]} - The matching users, empty if nobody matches.
+     */
+    findPlayersByName(name) {
+        const matches = this.findUsersByName(name);
+        if (matches.length) {
+            return matches;
+        }
+
+        const [firstName, ...lastNames] = _.trim(name).split(/\s+/);
+        const indexedUser = lastNames.length ? this.getIndexedUser(firstName, lastNames.join(' ')) : null;
+
+        return _.compact([indexedUser && this.load(indexedUser.id)]);
+    }
+
+    /**
+     * Finds the user named at the start of a text, e.g. the target of "ann smith hello".
+     * Longer names are tried first, so "ann smith hello" finds Ann Smith even when
+     * other players called Ann are online. Only the first word may be a partial name,
+     * otherwise "ann a question" would take "a" as part of the name.
+     *
+     * @param {string} text - The text starting with a (partial) name.
+     * @param {Array} [users] - The users to search, defaults to all active users.
+     * @returns {Object} - `user` is the user found or null, `rest` the text after the name,
+     * and `matches` the users matching the first word when no single user was found.
+     */
+    findUserByNamePrefix(text, users = this.getActiveUsers()) {
+        const words = _.trim(text).split(/\s+/);
+
+        for (let length = words.length; length > 0; length--) {
+            const nameWords = words.slice(0, length).map((word) => word.toLowerCase());
+            const found = this.findUsersByName(nameWords.join(' '), users).filter((user) => {
+                const userWords = `${user.firstName} ${user.lastName} ${user.morphedName || ''}`.toLowerCase().split(/\s+/);
+                return length === 1 || nameWords.every((word) => userWords.includes(word));
+            });
+
+            if (found.length === 1) {
+                return {user: found[0], rest: words.slice(length).join(' '), matches: found};
+            }
+        }
+
+        return {user: null, rest: '', matches: this.findUsersByName(words[0], users)};
+    }
+
     /**
      * Fetch all online users.
      *
@@ -247,18 +457,11 @@ class UserManager extends Base {
         _.forEach(userIds, (id) => {
             const user = this.getUser({id});
             if (user && user.client) {
+                const text = format === true
+                    ? this.wrap(this.format(`${message}`, user), this.getScreenWidth(user))
+                    : this.unescapeMarkup(`${message}`);
 
-                user.client.write('\n');
-
-                if (format === true) {
-                    user.client.write(this.format(`${message}`, user));
-                } else {
-                    user.client.write(`${message}`);
-                }
-
-                if (newLine) {
-                    user.client.write('\n');
-                }
+                this.writeOutput(user, newLine ? `${text}\n` : text);
 
                 if(sendPrompt) {
                     this.sendPrompt(user);
@@ -269,14 +472,276 @@ class UserManager extends Base {
         });
     }
 
+    /**
+     * Sends a message caused by another user, skipping the recipients who ignore that user.
+     * Use it for anything a player says or does that others see.
+     *
+     * @param {Object} sender - The user the message comes from.
+     * @param {Array|string} userIds - Array of user IDs or a single user ID string.
+     * @param {string} message - The message to send.
+     * @param {...*} options - The remaining arguments of send.
+     * @returns {Array} - The IDs of the users the message was sent to.
+     */
+    sendFrom(sender, userIds, message, ...options) {
+        const recipientIds = _.castArray(userIds).filter((id) => !this.isIgnoring(this.getUser({id}), sender));
+
+        this.send(recipientIds, message, ...options);
+        return recipientIds;
+    }
+
+    /**
+     * Checks whether a user ignores another user. Staff can not be ignored.
+     *
+     * @param {Object} user - The user who might be ignoring.
+     * @param {Object} sender - The user who might be ignored.
+     * @returns {boolean}
+     */
+    isIgnoring(user, sender) {
+        if (!user || !sender || this.isStaff(sender)) {
+            return false;
+        }
+
+        return _.some(user.ignoring, {id: sender.id});
+    }
+
+    /**
+     * Checks whether a user is staff, which is anyone allowed to use the admin commands.
+     *
+     * @param {Object} user - The user to check.
+     * @returns {boolean}
+     */
+    isStaff(user) {
+        return permissionManager.hasCapability(user, "admin");
+    }
+
+    /**
+     * Adds a user to another user's ignore list and saves it.
+     *
+     * @param {Object} user - The user who ignores.
+     * @param {Object} target - The user to ignore.
+     */
+    ignore(user, target) {
+        user.ignoring = [..._.reject(user.ignoring, {id: target.id}), {id: target.id, firstName: target.firstName, lastName: target.lastName}];
+        this.save(user);
+    }
+
+    /**
+     * Removes a user from another user's ignore list and saves it.
+     *
+     * @param {Object} user - The user who ignores.
+     * @param {string} targetId - The ID of the ignored user.
+     */
+    unignore(user, targetId) {
+        user.ignoring = _.reject(user.ignoring, {id: targetId});
+        this.save(user);
+    }
+
     /**
      * Sends a prompt to user.
      * It sends a predetermined prompt to the user.
      */
     sendPrompt(user) {
-        if (user.status === 'active') {
-            this.send([user.id], `[b:? for help][p:${user.morphedName || user.firstName + " " + user.lastName}] <red>:><reset> `, true, false, false);
+        // The pager shows its own prompt until the player is done reading
+        if (user.pager) {
+            return;
         }
+
+        const template = this.getPromptTemplate(user);
+        if (user.status === 'active' && template) {
+            this.send([user.id], this.renderPrompt(user, template), true, false, false);
+        }
+    }
+
+    /**
+     * Gets the prompt template of a user, either one of the prompt styles or their own.
+     *
+     * @param {Object} user - The user.
+     * @returns {?string} - The template, or null if the user wants no prompt.
+     */
+    getPromptTemplate(user) {
+        const prompt = this.getPreference(user, 'prompt', 'full');
+        return _.has(PROMPT_STYLES, prompt) ? PROMPT_STYLES[prompt] : prompt;
+    }
+
+    /**
+     * Fills in the tokens of a prompt template, e.g. "%room". Unknown tokens are kept
+     * as typed and "%%" is a literal percent sign. The result still has to be formatted.
+     *
+     * @param {Object} user - The user the prompt is for.
+     * @param {string} template - The prompt template.
+     * @returns {string}
+     */
+    renderPrompt(user, template) {
+        const tokens = this.getPromptTokens();
+        const prompt = template.replace(/%(%|[a-z]+)/g, (match, token) => {
+            if (token === '%') {
+                return '%';
+            }
+            return _.has(tokens, token) ? _.toString(tokens[token](user)) : match;
+        });
+
+        // Keep the typed command apart from the prompt
+        return /\s$/.test(prompt) ? prompt : `${prompt} `;
+    }
+
+    /**
+     * Gets the tokens players can use in their prompt, mapped to functions returning their value.
+     *
+     * @returns {Object}
+     */
+    getPromptTokens() {
+        return {
+            name: (user) => user.morphedName || `${user.firstName} ${user.lastName}`,
+            room: (user) => _.get(this.roomManager && this.roomManager.loadRoom(user.zoneId, user.roomId), 'name', ''),
+            id: (user) => (permissionManager.hasCapability(user, 'world.view_ids') ? `${user.zoneId}:${user.roomId}` : ''),
+            people: (user) => this.getRoomUsers(user.zoneId, user.roomId).length,
+            mail: (user) => (user.temporary ? 0 : mailManager.getUnreadCount(user.id)),
+            time: () => moment().format('HH:mm'),
+            channel: (user) => user.currentChannel || '',
+        };
+    }
+
+    /**
+     * Gets the names of the prompt styles players can pick.
+     *
+     * @returns {string[]}
+     */
+    getPromptStyles() {
+        return Object.keys(PROMPT_STYLES);
+    }
+
+    /**
+     * Gets a display preference the user set with the config command.
+     *
+     * @param {Object} user - The user.
+     * @param {string} key - The preference, e.g. "width".
+     * @param {*} [fallback] - Returned when the user did not set the preference.
+     * @returns {*}
+     */
+    getPreference(user, key, fallback) {
+        return _.get(user, ['preferences', key]) ?? fallback;
+    }
+
+    /**
+     * Sets a display preference and saves the user, undefined goes back to the default.
+     *
+     * @param {Object} user - The user.
+     * @param {string} key - The preference, e.g. "width".
+     * @param {*} value - The new value.
+     */
+    setPreference(user, key, value) {
+        user.preferences = value === undefined ? _.omit(user.preferences, key) : {...user.preferences, [key]: value};
+        this.save(user);
+    }
+
+    /**
+     * Gets the width output is wrapped to, set by the player with "config width" or
+     * reported by their client. A width of 0 turns wrapping off, which is also what
+     * clients that never reported a size get.
+     *
+     * @param {Object} user - The user.
+     * @returns {number}
+     */
+    getScreenWidth(user) {
+        return this.getPreference(user, 'width', user.terminalWidth ?? 0);
+    }
+
+    /**
+     * Gets the number of lines shown before the pager asks for more, set by the player with
+     * "config pagelength" or the height reported by their client. 0 turns paging off.
+     *
+     * @param {Object} user - The user.
+     * @returns {number}
+     */
+    getPageLength(user) {
+        return this.getPreference(user, 'pageLength', user.terminalHeight ?? 0);
+    }
+
+    /**
+     * Writes a formatted message to the user on a new line. While the pager is showing,
+     * the message waits in `user.pager.queue` until the player is done reading.
+     *
+     * @param {Object} user - The user.
+     * @param {string} text - The formatted and wrapped text.
+     */
+    writeOutput(user, text) {
+        if (user.pager) {
+            user.pager.queue.push(text);
+            return;
+        }
+
+        user.client.write('\n' + this.page(user, text));
+    }
+
+    /**
+     * Holds back the part of a formatted message that does not fit on the user's screen.
+     * The rest is kept in `user.pager` and shown page by page with showNextPage.
+     *
+     * @param {Object} user - The user.
+     * @param {string} text - The formatted and wrapped text.
+     * @returns {string} - The text to write now, ending with the [more] prompt if lines were held back.
+     */
+    page(user, text) {
+        const pageLength = this.getPageLength(user);
+        const lines = text.split(/\r?\n/);
+
+        // Leave a line for the [more] prompt, paging stays off for tiny screens
+        if (user.status !== 'active' || pageLength < 3 || lines.length < pageLength) {
+            return text;
+        }
+
+        user.pager = {lines: lines.slice(pageLength - 1), queue: []};
+        return lines.slice(0, pageLength - 1).join('\r\n') + this.getMorePrompt(user);
+    }
+
+    /**
+     * Shows the next page of output held back by the pager.
+     *
+     * @param {Object} user - The user.
+     */
+    showNextPage(user) {
+        if (!user.pager) {
+            return;
+        }
+
+        const pageLength = Math.max(this.getPageLength(user), 3);
+        const lines = user.pager.lines.splice(0, pageLength - 1);
+
+        if (user.pager.lines.length) {
+            user.client.write('\n' + lines.join('\r\n') + this.getMorePrompt(user));
+            return;
+        }
+
+        const queue = user.pager.queue;
+        user.pager = null;
+        user.client.write('\n' + lines.join('\r\n'));
+
+        // Messages that came in while reading follow, paged again if they are long
+        queue.forEach((text) => this.writeOutput(user, text));
+        this.sendPrompt(user);
+    }
+
+    /**
+     * Drops the rest of the output held back by the pager. Messages that came in while
+     * the player was reading are still shown.
+     *
+     * @param {Object} user - The user.
+     */
+    clearPager(user) {
+        const queue = _.get(user, ['pager', 'queue'], []);
+
+        user.pager = null;
+        queue.forEach((text) => this.writeOutput(user, text));
+    }
+
+    /**
+     * Builds the prompt shown below a page of output.
+     *
+     * @param {Object} user - The user.
+     * @returns {string} - The formatted prompt.
+     */
+    getMorePrompt(user) {
+        return this.format(`\r\n<inverse>[more]<reset> Press enter for the next page, [c:q] to stop reading. `, user);
     }
 
     /**
@@ -0,0 +1,100 @@
+/**
+ * The WebGateway class lets browsers connect to the talker. It runs an HTTP server that
+ * serves the small terminal page in src/public, and accepts WebSocket connections on the
+ * same port. Every WebSocket is wrapped in a WebSocketClient and handed to the
+ * `onConnection` callback, which creates a ClientHandler exactly like a telnet connection.
+ *
+ * @module WebGateway
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const WebSocket = require("ws");
+const Base = require("./base");
+const WebSocketClient = require("./webSocketClient");
+
+// Files served to the browser, anything else is a 404
+const STATIC_FILES = {
+    "/": {file: "index.html", type: "text/html; charset=utf-8"},
+    "/index.html": {file: "index.html", type: "text/html; charset=utf-8"},
+    "/terminal.js": {file: "terminal.js", type: "application/javascript; charset=utf-8"},
+    "/terminal.css": {file: "terminal.css", type: "text/css; charset=utf-8"},
+};
+
+class WebGateway extends Base {
+    constructor(params) {
+        super(); // Call the constructor of the base class
+
+        this.onConnection = params.onConnection;
+        this.publicPath = params.publicPath || path.join(__dirname, "../public");
+        this.behindTlsProxy = Boolean(params.behindTlsProxy); // A proxy in front of the gateway terminates TLS
+        this.maxLineLength = params.maxLineLength || 1024;
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.webSocketServer = new WebSocket.Server({
+            server: this.server,
+            // Fits an input message with a line of maxLineLength characters, even if every one is JSON escaped
+            maxPayload: this.maxLineLength * 6 + 64,
+        });
+
+        this.webSocketServer.on("connection", (socket, request) => {
+            this.onConnection(new WebSocketClient({socket, request, encrypted: this.behindTlsProxy}));
+        });
+
+        this.server.on("error", (error) => {
+            this.logWarn(`Web gateway error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Starts listening for HTTP and WebSocket connections.
+     *
+     * @param {number} port - The port to listen on.
+     */
+    listen(port) {
+        this.server.listen(port, () => {
+            this.logInfo("Web gateway listening", {port});
+        });
+    }
+
+    /**
+     * Closes the gateway, existing WebSocket connections are terminated.
+     *
+     * @param {Function} [callback] - Called once the HTTP server is closed.
+     */
+    close(callback) {
+        this.webSocketServer.clients.forEach((socket) => socket.terminate());
+        this.webSocketServer.close();
+        this.server.close(callback);
+    }
+
+    /**
+     * Serves the static terminal page files.
+     *
+     * @param {http.IncomingMessage} request - The HTTP request.
+     * @param {http.ServerResponse} response - The HTTP response.
+     */
+    handleRequest(request, response) {
+        const staticFile = STATIC_FILES[request.url.split("?")[0]];
+
+        if (request.method !== "GET" || !staticFile) {
+            response.writeHead(404, {"Content-Type": "text/plain"});
+            response.end("Not found");
+            return;
+        }
+
+        fs.readFile(path.join(this.publicPath, staticFile.file), (error, content) => {
+            if (error) {
+                this.logWarn(`Failed to read ${staticFile.file}: ${error.message}`);
+                response.writeHead(500, {"Content-Type": "text/plain"});
+                response.end("Internal server error");
+                return;
+            }
+
+            response.writeHead(200, {"Content-Type": staticFile.type});
+            response.end(content);
+        });
+    }
+}
+
+module.exports = WebGateway;
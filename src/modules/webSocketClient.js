@@ -0,0 +1,129 @@
+/**
+ * The WebSocketClient class wraps a browser WebSocket connection so it looks like the
+ * net.Socket ClientHandler works with: it has `write`, `end`, `remoteAddress`, and emits
+ * `data`, `close` and `error` events. Browsers do not speak telnet, so the terminal
+ * capabilities are reported directly through `capabilities` instead of being negotiated.
+ *
+ * Messages are JSON encoded in both directions:
+ * - server to browser: `{type: "output", data}` and `{type: "echo", enabled}`
+ * - browser to server: `{type: "input", data}` and `{type: "resize", width, height}`
+ *
+ * @module WebSocketClient
+ */
+const events = require("events");
+const WebSocket = require("ws");
+
+// Screen sizes outside the range "config width" accepts are clamped to it
+const MIN_SCREEN_SIZE = 20;
+const MAX_SCREEN_SIZE = 500;
+
+class WebSocketClient extends events.EventEmitter {
+    constructor(params) {
+        super(); // Call the constructor of the EventEmitter
+
+        this.socket = params.socket;
+        this.remoteAddress = params.request.socket.remoteAddress;
+        this.remotePort = params.request.socket.remotePort;
+        this.encrypted = Boolean(params.encrypted || params.request.socket.encrypted); // Mirrors tls.TLSSocket's flag
+
+        this.capabilities = {
+            terminalType: "WEBSOCKET",
+            supportsColor: true,
+            supportsHighAscii: true,
+            width: null,
+            height: null,
+        };
+
+        this.socket.on("message", (message) => this.handleMessage(message));
+        this.socket.on("close", () => this.emit("close"));
+        this.socket.on("error", (error) => this.emit("error", error));
+    }
+
+    /**
+     * Mirrors net.Socket's destroyed flag, true once the WebSocket is no longer open.
+     *
+     * @returns {boolean}
+     */
+    get destroyed() {
+        return this.socket.readyState !== WebSocket.OPEN;
+    }
+
+    /**
+     * Sends output to the browser.
+     *
+     * @param {string|Buffer} data - The output to send.
+     */
+    write(data) {
+        this.sendMessage({type: "output", data: data.toString()});
+    }
+
+    /**
+     * Asks the browser to hide (or show again) what is typed, used for password entry.
+     *
+     * @param {boolean} enabled - True to hide the typed characters.
+     */
+    setEcho(enabled) {
+        this.sendMessage({type: "echo", enabled});
+    }
+
+    /**
+     * Closes the connection.
+     */
+    end() {
+        this.socket.close();
+    }
+
+    /**
+     * Closes the connection without waiting for the closing handshake.
+     */
+    destroy() {
+        this.socket.terminate();
+    }
+
+    /**
+     * Sends a JSON message, if the socket is still open.
+     *
+     * @param {Object} message - The message to send.
+     */
+    sendMessage(message) {
+        if (!this.destroyed) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Handles a message from the browser. Input is passed on as a `data` event ending in
+     * CRLF, just like a line typed in a telnet client.
+     *
+     * @param {Buffer|string} message - The raw WebSocket message.
+     */
+    handleMessage(message) {
+        let parsed;
+        try {
+            parsed = JSON.parse(message.toString());
+        } catch (error) {
+            return;
+        }
+
+        if (parsed.type === "input" && typeof parsed.data === "string") {
+            this.emit("data", Buffer.from(`${parsed.data}\r\n`));
+        } else if (parsed.type === "resize") {
+            this.capabilities.width = this.parseScreenSize(parsed.width);
+            this.capabilities.height = this.parseScreenSize(parsed.height);
+            this.emit("resize", {width: this.capabilities.width, height: this.capabilities.height});
+        }
+    }
+
+    /**
+     * Turns a size reported by the browser into a number of characters the server can use.
+     *
+     * @param {*} value - The width or height from a resize message.
+     * @returns {number|null} - The size clamped to 20-500, or null if it is not a positive number.
+     */
+    parseScreenSize(value) {
+        const size = parseInt(value);
+        return size > 0 ? Math.min(Math.max(size, MIN_SCREEN_SIZE), MAX_SCREEN_SIZE) : null;
+    }
+}
+
+module.exports = WebSocketClient;
@@ -0,0 +1,197 @@
+/**
+ * ZoneManager keeps the registry of zones, the first half of a `zoneId:roomId` room key.
+ * Zones are defined in db/zones.json, keyed by their padded ID, each with a name, a
+ * description, an owner, the builders allowed to dig in it, the room new arrivals land in
+ * and flags changing how the zone behaves:
+ * - `noVisitors`: only registered players can go into the zone.
+ * - `oocOnly`: in character talk is not used in the zone, only OOC.
+ *
+ * Zones missing from the registry still work, they just have no name and only staff can build in them.
+ *
+ * @module ZoneManager
+ */
+const path = require("path");
+const _ = require("lodash");
+const Base = require("./base");
+const jsonStore = require("./jsonStore");
+const permissionManager = require("./permissionManager");
+
+// Flags a zone can have, with what they do
+const ZONE_FLAGS = {
+    noVisitors: "Only registered players can go into the zone.",
+    oocOnly: "Only OOC talk is used in the zone.",
+};
+
+class ZoneManager extends Base {
+    constructor() {
+        super(); // Call the constructor of the base class
+
+        this.zones = {};
+        this.filePath = path.join(`${process.cwd()}/${process.env.DB_PATH}/`, "zones.json");
+        this.loadZones();
+    }
+
+    /**
+     * Loads the zone definitions from zones.json.
+     */
+    loadZones() {
+        try {
+            this.zones = jsonStore.read(this.filePath) || {};
+        } catch (error) {
+            this.logWarn(`Failed to load zones from ${this.filePath}: ${error.message}`);
+            this.zones = {};
+        }
+    }
+
+    /**
+     * Writes the zone definitions back to zones.json.
+     *
+     * @returns {boolean} - Result of the operation, returns false if the file could not be written.
+     */
+    saveZones() {
+        try {
+            jsonStore.write(this.filePath, this.zones, 4);
+            return true;
+        } catch (error) {
+            this.logError(`Failed to save zones to ${this.filePath}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Pads a zone ID with zeros, the way room keys do.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {string} - Padded zone ID.
+     */
+    getZoneKey(zoneId) {
+        return String(zoneId).padStart(3, "0");
+    }
+
+    /**
+     * Gets a zone by ID.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {Object|null} - The zone with its padded `id`, or null if the zone is not registered.
+     */
+    getZone(zoneId) {
+        const key = this.getZoneKey(zoneId);
+
+        if (!_.has(this.zones, key)) {
+            return null;
+        }
+
+        return {id: key, builders: [], flags: {}, ...this.zones[key]};
+    }
+
+    /**
+     * Gets every registered zone, ordered by ID.
+     *
+     * @returns {Object[]} - The zones.
+     */
+    getZones() {
+        return Object.keys(this.zones).sort().map((key) => this.getZone(key));
+    }
+
+    /**
+     * Gets the name of a zone, or a placeholder for zones missing from the registry.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {string}
+     */
+    getZoneName(zoneId) {
+        return _.get(this.getZone(zoneId), "name") || `Zone ${this.getZoneKey(zoneId)}`;
+    }
+
+    /**
+     * Registers a new zone and saves the registry.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @param {Object} zoneData - Name, description, owner and the other zone fields.
+     * @returns {Object|boolean} - The created zone, or false if it exists already or could not be saved.
+     */
+    createZone(zoneId, zoneData) {
+        const key = this.getZoneKey(zoneId);
+
+        if (_.has(this.zones, key)) {
+            return false;
+        }
+
+        this.zones[key] = {name: "", description: "", owner: null, builders: [], defaultRoom: "000", flags: {}, ...zoneData};
+        return this.saveZones() ? this.getZone(key) : false;
+    }
+
+    /**
+     * Changes the fields of a zone and saves the registry.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @param {Object} changes - The fields to change.
+     * @returns {Object|boolean} - The changed zone, or false if it is not registered or could not be saved.
+     */
+    updateZone(zoneId, changes) {
+        const key = this.getZoneKey(zoneId);
+
+        if (!_.has(this.zones, key)) {
+            return false;
+        }
+
+        this.zones[key] = {...this.zones[key], ...changes};
+        return this.saveZones() ? this.getZone(key) : false;
+    }
+
+    /**
+     * Gets the flags zones can have, with a description of each.
+     *
+     * @returns {Object} - Flag names mapped to their description.
+     */
+    getFlags() {
+        return ZONE_FLAGS;
+    }
+
+    /**
+     * Checks whether a zone has a flag set.
+     *
+     * @param {number|string} zoneId - Zone ID.
+     * @param {string} flag - Name of the flag.
+     * @returns {boolean}
+     */
+    hasFlag(zoneId, flag) {
+        return _.get(this.getZone(zoneId), ["flags", flag]) === true;
+    }
+
+    /**
+     * Checks whether a user owns a zone. Staff count as owner of every zone.
+     *
+     * @param {Object} user - The user to check.
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {boolean}
+     */
+    isOwner(user, zoneId) {
+        return permissionManager.hasCapability(user, "admin") || _.get(this.getZone(zoneId), "owner") === user.id;
+    }
+
+    /**
+     * Checks whether a user may build new rooms in a zone: its owner, its builders and staff.
+     *
+     * @param {Object} user - The user to check.
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {boolean}
+     */
+    canBuild(user, zoneId) {
+        return this.isOwner(user, zoneId) || _.some(_.get(this.getZone(zoneId), "builders"), {id: user.id});
+    }
+
+    /**
+     * Checks whether the zone's flags let a user in.
+     *
+     * @param {Object} user - The user who wants to enter.
+     * @param {number|string} zoneId - Zone ID.
+     * @returns {boolean}
+     */
+    canEnter(user, zoneId) {
+        return !this.hasFlag(zoneId, "noVisitors") || permissionManager.hasRole(user, "player");
+    }
+}
+
+const zoneManager = new ZoneManager();
+module.exports = zoneManager;
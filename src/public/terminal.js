@@ -0,0 +1,175 @@
+/**
+ * Browser terminal for the node talker WebSocket gateway.
+ * Renders the ANSI output of the server and sends typed lines back as input messages.
+ */
+(function () {
+    const output = document.getElementById("output");
+    const form = document.getElementById("input-form");
+    const input = document.getElementById("input");
+
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${protocol}//${window.location.host}`);
+
+    // Output lines kept on the page, older ones are removed so long sessions stay fast
+    const MAX_OUTPUT_LINES = 2000;
+
+    const history = [];
+    let historyIndex = 0;
+    let hidden = false; // True while the server asked to hide typed input (passwords)
+    let lineCount = 0; // Line breaks currently in the output
+
+    // Current SGR state, carried over between output messages
+    let style = {};
+
+    /**
+     * Turns the style state into a list of css classes.
+     */
+    const styleClasses = () => {
+        const classes = [];
+        if (style.bold) classes.push("bold");
+        if (style.dim) classes.push("dim");
+        if (style.underline) classes.push("underline");
+        if (style.blink) classes.push("blink");
+        if (style.inverse) classes.push("inverse");
+        if (style.hidden) classes.push("hidden");
+        if (style.color) classes.push(`fg-${style.color}`);
+        return classes;
+    };
+
+    /**
+     * Applies the parameters of one SGR escape sequence to the style state.
+     */
+    const applySgr = (codes) => {
+        codes.forEach((code) => {
+            if (code === 0) style = {};
+            else if (code === 1) style.bold = true;
+            else if (code === 2) style.dim = true;
+            else if (code === 4) style.underline = true;
+            else if (code === 5) style.blink = true;
+            else if (code === 7) style.inverse = true;
+            else if (code === 8) style.hidden = true;
+            else if (code >= 30 && code <= 37) style.color = code;
+        });
+    };
+
+    /**
+     * Appends a piece of plain text using the current style.
+     */
+    const appendText = (text) => {
+        if (!text) return;
+        const span = document.createElement("span");
+        span.className = styleClasses().join(" ");
+        span.textContent = text;
+        output.appendChild(span);
+        lineCount += text.split("\n").length - 1;
+    };
+
+    /**
+     * Removes the oldest output until at most MAX_OUTPUT_LINES lines are left.
+     */
+    const trimOutput = () => {
+        while (lineCount > MAX_OUTPUT_LINES && output.firstChild) {
+            lineCount -= output.firstChild.textContent.split("\n").length - 1;
+            output.removeChild(output.firstChild);
+        }
+    };
+
+    /**
+     * Renders server output, handling color codes and the clear screen sequence.
+     */
+    const render = (data) => {
+        const pattern = /\x1b\[([\d;]*)([a-zA-Z])/g;
+        const text = data.replace(/\r/g, "");
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            appendText(text.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            if (match[2] === "m") {
+                applySgr((match[1] || "0").split(";").map(Number));
+            } else if (match[2] === "J" && match[1] === "2") {
+                output.innerHTML = "";
+                lineCount = 0;
+            }
+        }
+        appendText(text.slice(lastIndex));
+        trimOutput();
+
+        output.scrollTop = output.scrollHeight;
+    };
+
+    /**
+     * Reports the terminal size in characters, so the server can wrap output.
+     */
+    const sendSize = () => {
+        const probe = document.createElement("span");
+        probe.textContent = "M";
+        output.appendChild(probe);
+        const charWidth = probe.getBoundingClientRect().width || 8;
+        const charHeight = probe.getBoundingClientRect().height || 16;
+        output.removeChild(probe);
+
+        socket.send(JSON.stringify({
+            type: "resize",
+            width: Math.floor(output.clientWidth / charWidth),
+            height: Math.floor(output.clientHeight / charHeight),
+        }));
+    };
+
+    socket.addEventListener("open", () => {
+        sendSize();
+        window.addEventListener("resize", sendSize);
+    });
+
+    socket.addEventListener("message", (event) => {
+        const message = JSON.parse(event.data);
+
+        if (message.type === "output") {
+            render(message.data);
+        } else if (message.type === "echo") {
+            hidden = message.enabled;
+            input.type = hidden ? "password" : "text";
+        }
+    });
+
+    socket.addEventListener("close", () => {
+        style = {};
+        render("\n\x1b[31mConnection closed.\x1b[0m\n");
+        input.disabled = true;
+    });
+
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+
+        const line = input.value;
+        input.value = "";
+        socket.send(JSON.stringify({type: "input", data: line}));
+
+        // Hidden input is not echoed, like a telnet client with the server echoing
+        if (!hidden) {
+            render(`${line}\n`);
+            if (line) {
+                history.push(line);
+            }
+        }
+        historyIndex = history.length;
+    });
+
+    input.addEventListener("keydown", (event) => {
+        if (hidden || !history.length) return;
+
+        if (event.key === "ArrowUp") {
+            historyIndex = Math.max(0, historyIndex - 1);
+            input.value = history[historyIndex];
+            event.preventDefault();
+        } else if (event.key === "ArrowDown") {
+            historyIndex = Math.min(history.length, historyIndex + 1);
+            input.value = history[historyIndex] || "";
+            event.preventDefault();
+        }
+    });
+
+    output.addEventListener("click", () => input.focus());
+})();
@@ -4,7 +4,9 @@
 // Load core modules
 require("dotenv").config();
 const {parse} = require("error-stack-parser");
+const fs = require("fs");
 const net = require("net");
+const tls = require("tls");
 
 // Load core project modules
 const LogHandler = require("./modules/logHandler");
@@ -12,6 +14,9 @@ const RoomManager = require("./modules/roomManager");
 const CommandHandler = require("./modules/commandHandler"); // Import CommandHandler
 const ClientHandler = require("./modules/clientHandler");
 const ItemManager = require("./modules/itemManager"); // Import ItemManager
+const WebGateway = require("./modules/webGateway");
+const serverManager = require("./modules/serverManager");
+const userManager = require("./modules/userManager");
 
 // Construct the command system
 commandHandler = new CommandHandler(); // Initialize CommandHandler
@@ -20,18 +25,28 @@ commandHandler = new CommandHandler(); // Initialize CommandHandler
 const log = new LogHandler({path: "../logs/"});
 
 // Initialize RoomManager
-const roomManager = new RoomManager({roomPath: `${process.cwd()}/${process.env.DB_PATH}/rooms/`});
+const roomManager = new RoomManager();
 
 // Initialize ItemManager
-const itemManager = new ItemManager({itemPath: `${process.cwd()}/${process.env.DB_PATH}/items/`});
+const itemManager = new ItemManager();
 
-let server = net.createServer((client) => {
+// Load the user name index, rebuilding it if it is missing or stale
+userManager.loadIndex();
+
+// Let the server manager save loaded items on shutdown
+serverManager.setItemManager(itemManager);
+
+// Every transport hands its connections to the same ClientHandler setup, so all players share one userManager
+const handleConnection = (client) => {
     try {
         new ClientHandler({client, roomManager, commandHandler, itemManager});
     } catch (error) {
         log.error({message: `Error creating client handler`, error});
     }
-});
+};
+
+let server = net.createServer(handleConnection);
+serverManager.addListener(server);
 
 server.on("error", (error) => {
     log.error({message: "Server error", file: parse(error).filePath, line: parse(error).lineNumber, error});
@@ -46,6 +61,40 @@ server.listen(port, (error) => {
     log.info({message: "Server listening", port});
 });
 
+// Start the TLS listener if a port, certificate and key are set
+if (process.env.TLS_PORT && process.env.TLS_CERT_PATH && process.env.TLS_KEY_PATH) {
+    try {
+        const tlsServer = tls.createServer({
+            cert: fs.readFileSync(process.env.TLS_CERT_PATH),
+            key: fs.readFileSync(process.env.TLS_KEY_PATH),
+        }, handleConnection);
+
+        tlsServer.on("error", (error) => {
+            log.error({message: "TLS server error", error});
+        });
+
+        serverManager.addListener(tlsServer);
+
+        const tlsPort = parseInt(process.env.TLS_PORT);
+        tlsServer.listen(tlsPort, () => {
+            log.info({message: "TLS server listening", port: tlsPort});
+        });
+    } catch (error) {
+        log.error({message: "Error starting TLS server", error});
+    }
+}
+
+// Start the WebSocket gateway for browser clients if a port is set
+if (process.env.WEB_PORT) {
+    const webGateway = new WebGateway({
+        onConnection: handleConnection,
+        behindTlsProxy: process.env.WEB_BEHIND_TLS_PROXY === "true",
+        maxLineLength: parseInt(process.env.MAX_INPUT_LINE_LENGTH),
+    });
+    webGateway.listen(parseInt(process.env.WEB_PORT));
+    serverManager.addListener(webGateway);
+}
+
 // Timeout to clear empty rooms - now in global scope, so it will run only once, not per connection
 let clientHandler = new ClientHandler({client: null, roomManager, commandHandler, itemManager});
 